@@ -0,0 +1,342 @@
+const tf = require('@tensorflow/tfjs-node');
+
+const { createRandom } = require('./random');
+
+// Pixel value of the (white) drawing background in normalized images
+const BACKGROUND = 1;
+
+/**
+ * Default augmentation policy. Every transform has a probability of being
+ * applied to a sample and a magnitude:
+ *  - flipHorizontal: mirrors the image (no magnitude)
+ *  - rotation: maximum angle in degrees
+ *  - scale: maximum relative size change (0.15 = 85%..115%)
+ *  - translation: maximum shift as a fraction of the image size
+ *  - shear: maximum shear factor
+ *  - stroke: maximum dilation/erosion radius in pixels (thickens or thins strokes)
+ *  - elastic: displacement strength in pixels (sigma = smoothness of the field)
+ *  - saltPepper: fraction of pixels replaced by black or white noise
+ *  - cutout: side of the erased square as a fraction of the image size
+ */
+const DEFAULT_POLICY = {
+    flipHorizontal: { probability: 0.5 },
+    rotation: { probability: 0.5, magnitude: 20 },
+    scale: { probability: 0.5, magnitude: 0.15 },
+    translation: { probability: 0.5, magnitude: 0.1 },
+    shear: { probability: 0.3, magnitude: 0.2 },
+    stroke: { probability: 0.3, magnitude: 2 },
+    elastic: { probability: 0.2, magnitude: 1.5, sigma: 3 },
+    saltPepper: { probability: 0.1, magnitude: 0.02 },
+    cutout: { probability: 0.1, magnitude: 0.25 }
+};
+
+// Uniform random number in [-magnitude, magnitude]
+const symmetric = (random, magnitude) => (random() * 2 - 1) * magnitude;
+
+/**
+ * Samples an image at a fractional position with bilinear interpolation;
+ * positions outside the image read as background
+ * @param {Object} image - { data, width, height, channels }
+ * @param {number} x - Source x coordinate
+ * @param {number} y - Source y coordinate
+ * @param {number} c - Channel
+ * @returns {number} Interpolated value
+ */
+const sampleBilinear = ({ data, width, height, channels }, x, y, c) => {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const at = (px, py) => (px < 0 || py < 0 || px >= width || py >= height)
+        ? BACKGROUND
+        : data[(py * width + px) * channels + c];
+
+    return (at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx) * (1 - fy) +
+        (at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx) * fy;
+};
+
+/**
+ * Resamples an image: each output pixel reads the source at sourceOf(x, y)
+ * @param {Object} image - { data, width, height, channels }
+ * @param {Function} sourceOf - (x, y) => [sourceX, sourceY]
+ * @returns {Object} New image
+ */
+const remap = (image, sourceOf) => {
+    const { width, height, channels } = image;
+    const data = new Float32Array(image.data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = sourceOf(x, y);
+            for (let c = 0; c < channels; c++) {
+                data[(y * width + x) * channels + c] = sampleBilinear(image, sx, sy, c);
+            }
+        }
+    }
+    return { ...image, data };
+};
+
+/**
+ * Applies a 2x2 linear map plus translation about the image center
+ * @param {Object} image - { data, width, height, channels }
+ * @param {number[]} matrix - [a, b, c, d, tx, ty] forward transform
+ * @returns {Object} New image
+ */
+const applyAffine = (image, [a, b, c, d, tx, ty]) => {
+    const cx = (image.width - 1) / 2;
+    const cy = (image.height - 1) / 2;
+    const det = a * d - b * c;
+    // Invert the forward map so each output pixel knows where to read from
+    return remap(image, (x, y) => {
+        const u = x - cx - tx;
+        const v = y - cy - ty;
+        return [(d * u - b * v) / det + cx, (-c * u + a * v) / det + cy];
+    });
+};
+
+// Composes two [a, b, c, d, tx, ty] transforms: the result applies `inner`, then `outer`
+const compose = ([a1, b1, c1, d1, tx1, ty1] /* outer */, [a2, b2, c2, d2, tx2, ty2] /* inner */) => [
+    a1 * a2 + b1 * c2, a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2, c1 * b2 + d1 * d2,
+    a1 * tx2 + b1 * ty2 + tx1, c1 * tx2 + d1 * ty2 + ty1
+];
+
+/**
+ * Min or max filter over a square window, per channel
+ * @param {Object} image - { data, width, height, channels }
+ * @param {number} radius - Window radius in pixels
+ * @param {Function} pick - Math.min or Math.max
+ * @returns {Object} New image
+ */
+const morphology = (image, radius, pick) => {
+    const { width, height, channels } = image;
+    const data = new Float32Array(image.data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < channels; c++) {
+                let value = image.data[(y * width + x) * channels + c];
+                for (let dy = -radius; dy <= radius; dy++) {
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+                            value = pick(value, image.data[(ny * width + nx) * channels + c]);
+                        }
+                    }
+                }
+                data[(y * width + x) * channels + c] = value;
+            }
+        }
+    }
+    return { ...image, data };
+};
+
+/**
+ * Separable Gaussian blur of a single-channel field
+ * @param {Float32Array} field - width * height values
+ * @param {number} width - Field width
+ * @param {number} height - Field height
+ * @param {number} sigma - Gaussian standard deviation
+ * @returns {Float32Array} Blurred field
+ */
+const gaussianBlur = (field, width, height, sigma) => {
+    const radius = Math.ceil(sigma * 3);
+    const kernel = [];
+    for (let i = -radius; i <= radius; i++) {
+        kernel.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+    const total = kernel.reduce((a, b) => a + b, 0);
+
+    const pass = (input, horizontal) => {
+        const output = new Float32Array(input.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const nx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+                    const ny = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+                    sum += input[ny * width + nx] * kernel[k + radius];
+                }
+                output[y * width + x] = sum / total;
+            }
+        }
+        return output;
+    };
+
+    return pass(pass(field, true), false);
+};
+
+/**
+ * Built-in transforms. Geometric transforms return an affine matrix so that
+ * all of them are combined into a single resampling; pixel transforms map an
+ * image to a new image.
+ */
+const TRANSFORMS = {
+    flipHorizontal: {
+        kind: 'affine',
+        matrix: () => [-1, 0, 0, 1, 0, 0]
+    },
+    rotation: {
+        kind: 'affine',
+        matrix: ({ magnitude }, random) => {
+            const radians = symmetric(random, magnitude) * Math.PI / 180;
+            return [Math.cos(radians), -Math.sin(radians), Math.sin(radians), Math.cos(radians), 0, 0];
+        }
+    },
+    scale: {
+        kind: 'affine',
+        matrix: ({ magnitude }, random) => {
+            const factor = 1 + symmetric(random, magnitude);
+            return [factor, 0, 0, factor, 0, 0];
+        }
+    },
+    translation: {
+        kind: 'affine',
+        matrix: ({ magnitude }, random, image) => [
+            1, 0, 0, 1,
+            symmetric(random, magnitude) * image.width,
+            symmetric(random, magnitude) * image.height
+        ]
+    },
+    shear: {
+        kind: 'affine',
+        matrix: ({ magnitude }, random) => [1, symmetric(random, magnitude), 0, 1, 0, 0]
+    },
+    stroke: {
+        kind: 'pixel',
+        // Strokes are dark: a min filter thickens them, a max filter thins them
+        apply: (image, { magnitude }, random) => {
+            // Radius 1 up to magnitude, so scalePolicy's strength changes it too
+            const radius = Math.max(1, Math.round(random() * magnitude));
+            return morphology(image, radius, random() < 0.5 ? Math.min : Math.max);
+        }
+    },
+    elastic: {
+        kind: 'pixel',
+        apply: (image, { magnitude, sigma = 3 }, random) => {
+            const { width, height } = image;
+            const noise = () => Float32Array.from({ length: width * height }, () => random() * 2 - 1);
+            // Normalize the smoothed fields so magnitude is the peak displacement
+            const normalize = (field) => {
+                const peak = field.reduce((max, v) => Math.max(max, Math.abs(v)), 0) || 1;
+                return field.map(v => v / peak * magnitude);
+            };
+            const dx = normalize(gaussianBlur(noise(), width, height, sigma));
+            const dy = normalize(gaussianBlur(noise(), width, height, sigma));
+            return remap(image, (x, y) => [x + dx[y * width + x], y + dy[y * width + x]]);
+        }
+    },
+    saltPepper: {
+        kind: 'pixel',
+        apply: (image, { magnitude }, random) => {
+            const { width, height, channels } = image;
+            const data = Float32Array.from(image.data);
+            const count = Math.round(width * height * magnitude);
+            for (let i = 0; i < count; i++) {
+                const pixel = Math.floor(random() * width * height);
+                const value = random() < 0.5 ? 0 : 1;
+                for (let c = 0; c < channels; c++) {
+                    data[pixel * channels + c] = value;
+                }
+            }
+            return { ...image, data };
+        }
+    },
+    cutout: {
+        kind: 'pixel',
+        apply: (image, { magnitude }, random) => {
+            const { width, height, channels } = image;
+            const data = Float32Array.from(image.data);
+            const size = Math.max(1, Math.round(Math.min(width, height) * magnitude));
+            const left = Math.floor(random() * (width - size + 1));
+            const top = Math.floor(random() * (height - size + 1));
+            for (let y = top; y < top + size; y++) {
+                for (let x = left; x < left + size; x++) {
+                    for (let c = 0; c < channels; c++) {
+                        data[(y * width + x) * channels + c] = BACKGROUND;
+                    }
+                }
+            }
+            return { ...image, data };
+        }
+    }
+};
+
+/**
+ * Registers a custom transform usable from the augmentation policy
+ * @param {string} name - Policy key
+ * @param {Object} transform - { kind: 'affine', matrix(params, random, image) }
+ *   or { kind: 'pixel', apply(image, params, random) }
+ */
+const registerTransform = (name, transform) => {
+    TRANSFORMS[name] = transform;
+};
+
+/**
+ * Applies a policy to a raw image. Transforms run in policy order, except
+ * that all geometric transforms are merged into one resampling first.
+ * @param {Object} image - { data, width, height, channels } with values in [0, 1]
+ * @param {Object} policy - { <transform>: { probability, magnitude, ... } }
+ * @param {Function} random - Random number generator
+ * @returns {Object} Augmented image
+ */
+const augmentPixels = (image, policy, random) => {
+    let matrix = null;
+    const pixelSteps = [];
+
+    for (const [name, params] of Object.entries(policy)) {
+        if (!params) {
+            continue;
+        }
+        const transform = TRANSFORMS[name];
+        if (!transform) {
+            throw new Error(`Unknown augmentation transform: ${name}`);
+        }
+        if (random() >= (params.probability ?? 1)) {
+            continue;
+        }
+        if (transform.kind === 'affine') {
+            const step = transform.matrix(params, random, image);
+            matrix = matrix ? compose(step, matrix) : step;
+        } else {
+            pixelSteps.push([transform, params]);
+        }
+    }
+
+    let result = matrix ? applyAffine(image, matrix) : image;
+    for (const [transform, params] of pixelSteps) {
+        result = transform.apply(result, params, random);
+    }
+    return result;
+};
+
+/**
+ * Scales the magnitude of every transform in a policy, e.g. to search over
+ * augmentation strength. Probabilities are kept; a strength of 0 disables augmentation.
+ * @param {Object} policy - Augmentation policy (see DEFAULT_POLICY)
+ * @param {number} strength - Magnitude multiplier
+ * @returns {Object} New policy
+ */
+const scalePolicy = (policy, strength) => Object.fromEntries(Object.entries(policy).map(([name, params]) => {
+    if (!params || strength === 0) {
+        return [name, null];
+    }
+    return [name, params.magnitude === undefined ? params : { ...params, magnitude: params.magnitude * strength }];
+}));
+
+/**
+ * Creates an augmenter drawing fresh random transforms for every sample, so
+ * each epoch sees different variants. The same seed gives the same sequence.
+ * @param {Object} policy - Augmentation policy (see DEFAULT_POLICY)
+ * @param {number} seed - Random seed
+ * @returns {Function} (image: Tensor3D) => Tensor3D
+ */
+const createAugmenter = (policy, seed) => {
+    const random = createRandom(seed);
+    return (image) => {
+        const [height, width, channels] = image.shape;
+        const augmented = augmentPixels({ data: image.dataSync(), width, height, channels }, policy, random);
+        return tf.tensor3d(augmented.data, [height, width, channels]);
+    };
+};
+
+module.exports = { DEFAULT_POLICY, TRANSFORMS, createAugmenter, augmentPixels, registerTransform, scalePolicy };
@@ -0,0 +1,253 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { listLabeledFiles, hashDataset } = require('./getData');
+const { loadModelFrom, getClassNames, resolveModelPath } = require('./modelUtils');
+const { predictProbabilities } = require('./evaluate');
+const { copyModelFiles } = require('./registry');
+const { reliability, logLoss } = require('./metrics');
+
+// Must match the methods public/calibration.mjs applies
+const METHODS = ['temperature', 'bias', 'vector'];
+
+/**
+ * Fits calibration parameters by minimizing the log loss of the calibrated
+ * probabilities on held-out samples (see public/calibration.mjs for the model)
+ * @param {number[][]} probabilities - Uncalibrated model output per sample
+ * @param {number[]} labels - True class per sample
+ * @param {Object} [options] - { method, iterations, learningRate }
+ * @returns {Object} { method, temperature } plus bias (bias, vector) and weights (vector)
+ */
+const fitCalibration = (probabilities, labels, { method = 'temperature', iterations = 500, learningRate = 0.05 } = {}) => {
+    if (!METHODS.includes(method)) {
+        throw new Error(`Unknown calibration method "${method}" (expected ${METHODS.join(', ')})`);
+    }
+    const numClasses = probabilities[0].length;
+    const logits = tf.tidy(() => tf.tensor2d(probabilities).maximum(1e-12).log());
+    const targets = tf.tidy(() => tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses));
+
+    // The temperature is fitted as its log so it stays positive
+    const logTemperature = tf.variable(tf.scalar(0));
+    const weights = tf.variable(tf.ones([numClasses]));
+    const bias = tf.variable(tf.zeros([numClasses]));
+    const trainable = {
+        temperature: [logTemperature],
+        bias: [logTemperature, bias],
+        vector: [weights, bias]
+    }[method];
+
+    const optimizer = tf.train.adam(learningRate);
+    for (let i = 0; i < iterations; i++) {
+        optimizer.minimize(() => tf.losses.softmaxCrossEntropy(
+            targets,
+            logits.mul(weights).div(logTemperature.exp()).add(bias)
+        ), false, trainable);
+    }
+
+    const calibration = { method, temperature: Math.exp(logTemperature.dataSync()[0]) };
+    if (method === 'vector') {
+        calibration.weights = Array.from(weights.dataSync());
+    }
+    if (method !== 'temperature') {
+        calibration.bias = Array.from(bias.dataSync());
+    }
+
+    tf.dispose([logits, targets, logTemperature, weights, bias]);
+    optimizer.dispose();
+    return calibration;
+};
+
+/**
+ * Fits calibration for a saved model on a labeled directory and stores it in
+ * the model metadata, where predict.js, the server and the browser pick it up
+ * @param {string} modelPath - Model directory or model.json
+ * @param {string} dataDir - Held-out labeled images (not the training data)
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - temperature, bias or vector
+ * @param {string} [options.outDir] - Write a calibrated copy of the model here instead of updating it
+ * @param {boolean} [options.dryRun] - Only fit and report
+ * @param {number} [options.bins] - Bins for the expected calibration error
+ * @param {number} [options.batchSize] - Prediction batch size
+ * @param {number} [options.iterations] - Optimizer steps
+ * @returns {Promise<Object>} The stored calibration: parameters plus { fittedOn, before, after, createdAt }
+ */
+const calibrateModel = async (modelPath, dataDir, {
+    method = 'temperature',
+    outDir = null,
+    dryRun = false,
+    bins = 10,
+    batchSize = 32,
+    iterations = 500
+} = {}) => {
+    const modelJsonPath = resolveModelPath(modelPath);
+    const model = await loadModelFrom(modelJsonPath);
+    const classNames = getClassNames(model);
+    const files = listLabeledFiles(dataDir);
+    const unknown = [...new Set(files.map(file => file.className).filter(name => !classNames.includes(name)))];
+    if (unknown.length > 0) {
+        model.dispose();
+        throw new Error(`Classes not known to the model: ${unknown.join(', ')}`);
+    }
+    if (files.length === 0) {
+        model.dispose();
+        throw new Error(`No labeled images in ${dataDir}`);
+    }
+
+    const labels = files.map(file => classNames.indexOf(file.className));
+    const probabilities = await predictProbabilities(model, files, classNames, { batchSize });
+    model.dispose();
+
+    const parameters = fitCalibration(probabilities, labels, { method, iterations });
+    // Measured with the same code prediction uses
+    const { applyCalibration } = await import('./public/calibration.mjs');
+    const calibrated = probabilities.map(probs => applyCalibration(probs, parameters));
+    const measure = (probs) => ({ ece: reliability(probs, labels, bins).ece, logLoss: logLoss(probs, labels) });
+
+    const calibration = {
+        ...parameters,
+        fittedOn: {
+            data: path.resolve(dataDir),
+            samples: files.length,
+            datasetHash: hashDataset(files, dataDir)
+        },
+        before: measure(probabilities),
+        after: measure(calibrated),
+        createdAt: new Date().toISOString()
+    };
+
+    if (!dryRun) {
+        const addCalibration = (modelJson) => {
+            const metadata = { ...modelJson.userDefinedMetadata, calibration };
+            // The hand-set bias of the old fixModel.js script was never applied; calibration replaces it
+            if (metadata.shapeHints) {
+                const { classBias, ...shapeHints } = metadata.shapeHints;
+                metadata.shapeHints = shapeHints;
+            }
+            return { ...modelJson, userDefinedMetadata: metadata };
+        };
+        if (outDir) {
+            copyModelFiles(path.dirname(modelJsonPath), outDir, addCalibration);
+        } else {
+            const modelJson = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'));
+            // Replace the file in one step so a watching server never reads half of it
+            const tempPath = `${modelJsonPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(addCalibration(modelJson), null, 2));
+            fs.renameSync(tempPath, modelJsonPath);
+        }
+    }
+    return calibration;
+};
+
+const describeCalibration = (calibration) => {
+    const format = (values) => `[${values.map(v => v.toFixed(3)).join(', ')}]`;
+    const lines = [`Method: ${calibration.method}`];
+    if (calibration.method !== 'vector') {
+        lines.push(`Temperature: ${calibration.temperature.toFixed(3)}`);
+    }
+    if (calibration.weights) {
+        lines.push(`Weights: ${format(calibration.weights)}`);
+    }
+    if (calibration.bias) {
+        lines.push(`Bias: ${format(calibration.bias)}`);
+    }
+    lines.push(
+        `Samples: ${calibration.fittedOn.samples}`,
+        '',
+        '          ECE     Log loss',
+        `Before  ${calibration.before.ece.toFixed(4)}  ${calibration.before.logLoss.toFixed(4)}`,
+        `After   ${calibration.after.ece.toFixed(4)}  ${calibration.after.logLoss.toFixed(4)}`
+    );
+    return lines.join('\n');
+};
+
+const usage = () => `Usage: node calibrate.js --data <dir> [options]
+
+Fits probability calibration on held-out labeled images and stores it in the
+model metadata. predict.js, the HTTP server, evaluate.js and the browser app
+apply it automatically.
+
+Options:
+  --data <dir>         Held-out labeled images, any layout supported for training (required)
+  --model <path>       Saved model directory or model.json (default model/)
+  --method <name>      ${METHODS.join(' | ')} (default temperature)
+  --out <dir>          Write a calibrated copy of the model instead of updating it
+  --dry-run            Fit and report without writing anything
+  --bins <n>           Bins for the expected calibration error (default 10)
+  --batch-size <n>     Prediction batch size (default 32)
+  --iterations <n>     Optimizer steps (default 500)
+  -h, --help           Show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                data: { type: 'string' },
+                model: { type: 'string', default: path.join(__dirname, 'model') },
+                method: { type: 'string', default: 'temperature' },
+                out: { type: 'string' },
+                'dry-run': { type: 'boolean' },
+                bins: { type: 'string', default: '10' },
+                'batch-size': { type: 'string', default: '32' },
+                iterations: { type: 'string', default: '500' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+    const problems = [];
+    if (!values.data) {
+        problems.push('--data is required');
+    }
+    if (!METHODS.includes(values.method)) {
+        problems.push(`Unknown method "${values.method}" (expected ${METHODS.join(', ')})`);
+    }
+    ['bins', 'batch-size', 'iterations'].forEach(flag => {
+        if (!Number.isInteger(Number(values[flag])) || Number(values[flag]) < 1) {
+            problems.push(`Invalid --${flag}: expected a positive integer`);
+        }
+    });
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        process.exit(2);
+    }
+
+    const calibration = await calibrateModel(values.model, values.data, {
+        method: values.method,
+        outDir: values.out || null,
+        dryRun: Boolean(values['dry-run']),
+        bins: Number(values.bins),
+        batchSize: Number(values['batch-size']),
+        iterations: Number(values.iterations)
+    });
+
+    console.log(describeCalibration(calibration));
+    if (calibration.after.ece > calibration.before.ece) {
+        console.log('\nWarning: calibration increased the ECE on this data; the held-out set may be too small');
+    }
+    if (values['dry-run']) {
+        console.log('\nDry run: model not changed');
+    } else {
+        console.log(`\nCalibration stored in ${values.out ? path.join(values.out, 'model.json') : resolveModelPath(values.model)}`);
+    }
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error during calibration:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { METHODS, fitCalibration, calibrateModel };
@@ -0,0 +1,81 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+
+const saveModel = require('./saveModel');
+
+/**
+ * Returns whether a monitored metric improves when it goes up
+ * @param {string} monitor - Metric name, e.g. "val_loss" or "val_acc"
+ * @returns {boolean} True for accuracy-like metrics
+ */
+const isMaximized = (monitor) => /acc/.test(monitor);
+
+/**
+ * Returns whether a value improves on the best one seen so far
+ * @param {string} monitor - Metric name
+ * @param {number} value - New value
+ * @param {number|null} best - Best value so far, null if none
+ * @param {number} [minDelta] - Minimum change that counts as an improvement
+ * @returns {boolean} True if value is an improvement
+ */
+const isImprovement = (monitor, value, best, minDelta = 0) => {
+    if (best === null) {
+        return true;
+    }
+    return isMaximized(monitor) ? value > best + minDelta : value < best - minDelta;
+};
+
+/**
+ * Saves everything needed to resume training: model weights, optimizer state
+ * and the training state (epoch counter, early stopping state, history)
+ * @param {tf.LayersModel} model - Model being trained
+ * @param {tf.Optimizer} optimizer - Its optimizer
+ * @param {string} checkpointDir - Output directory (replaced atomically)
+ * @param {Object} state - JSON-serializable training state
+ * @param {Object} metadata - Model metadata (see saveModel)
+ * @returns {Promise<void>}
+ */
+const saveCheckpoint = async (model, optimizer, checkpointDir, state, metadata) => {
+    // Write to a temporary directory first so a kill mid-write leaves the previous checkpoint intact
+    const tmpDir = `${checkpointDir}.tmp`;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    await saveModel(model, tmpDir, metadata);
+
+    const optimizerWeights = await optimizer.getWeights();
+    const { data, specs } = await tf.io.encodeWeights(optimizerWeights);
+    fs.writeFileSync(path.join(tmpDir, 'optimizer.bin'), Buffer.from(data));
+    fs.writeFileSync(path.join(tmpDir, 'optimizer.json'), JSON.stringify(specs, null, 2));
+    fs.writeFileSync(path.join(tmpDir, 'state.json'), JSON.stringify(state, null, 2));
+
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+    fs.renameSync(tmpDir, checkpointDir);
+};
+
+/**
+ * Loads a checkpoint written by saveCheckpoint
+ * @param {string} checkpointDir - Checkpoint directory
+ * @returns {Promise<{model: tf.LayersModel, optimizerWeights: Array, state: Object}>}
+ *   Uncompiled model, optimizer weights for optimizer.setWeights() and training state
+ */
+const loadCheckpoint = async (checkpointDir) => {
+    const modelPath = path.resolve(checkpointDir, 'model.json');
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`No checkpoint found in ${checkpointDir}`);
+    }
+
+    const model = await tf.loadLayersModel(`file://${modelPath}`);
+
+    const specs = JSON.parse(fs.readFileSync(path.join(checkpointDir, 'optimizer.json'), 'utf8'));
+    const buffer = fs.readFileSync(path.join(checkpointDir, 'optimizer.bin'));
+    const weightMap = tf.io.decodeWeights(
+        buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), specs);
+    const optimizerWeights = specs.map(spec => ({ name: spec.name, tensor: weightMap[spec.name] }));
+
+    const state = JSON.parse(fs.readFileSync(path.join(checkpointDir, 'state.json'), 'utf8'));
+
+    return { model, optimizerWeights, state };
+};
+
+module.exports = { isImprovement, saveCheckpoint, loadCheckpoint };
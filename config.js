@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const yaml = require('js-yaml');
+
+const { DEFAULT_POLICY } = require('./augment');
+
+// Defaults start from the original hard-coded training setup
+const DEFAULT_CONFIG = {
+    // Seeds shuffling and augmentation; null picks a random seed that is recorded in the run's config.json
+    seed: null,
+    data: {
+        trainDir: 'data/train',
+        testDir: 'data/test'
+    },
+    model: {
+        filters: [32, 64],
+        kernelSize: 3,
+        denseUnits: 128,
+        dropout: 0.5
+    },
+    optimizer: {
+        name: 'adam',
+        learningRate: 0.0005,
+        // constant | step ({ dropEvery, factor }) | exponential ({ decayRate }) |
+        // cosine ({ minLearningRate, epochs: length of the curve, default training.epochs })
+        schedule: {
+            type: 'constant'
+        }
+    },
+    training: {
+        epochs: 50,
+        batchSize: 32,
+        // Fraction of each class held out for validation, taken before augmentation
+        validationSplit: 0.2,
+        // k for stratified k-fold cross-validation; replaces validationSplit when set
+        folds: null,
+        shuffle: true,
+        // Metric that selects the best checkpoint and drives early stopping
+        monitor: 'val_loss',
+        // { patience, minDelta }: stop after `patience` epochs without improving `monitor`; null disables
+        earlyStopping: null,
+        // Finish with the best checkpoint's weights instead of the last epoch's
+        restoreBestWeights: true,
+        // Samples held in memory for shuffling by the streaming input pipeline
+        shuffleBufferSize: 256
+    },
+    // { <transform>: { probability, magnitude } }, see DEFAULT_POLICY in augment.js; null disables a transform
+    augmentation: DEFAULT_POLICY,
+    output: {
+        runsDir: 'runs',
+        name: null,
+        // Every trained model is registered here as a new version; null skips registration
+        registryDir: 'registry'
+    }
+};
+
+// CLI flags and the config path they override
+const FLAG_OVERRIDES = {
+    'train-dir': ['data', 'trainDir'],
+    'test-dir': ['data', 'testDir'],
+    'optimizer': ['optimizer', 'name'],
+    'learning-rate': ['optimizer', 'learningRate'],
+    'schedule': ['optimizer', 'schedule', 'type'],
+    'epochs': ['training', 'epochs'],
+    'batch-size': ['training', 'batchSize'],
+    'validation-split': ['training', 'validationSplit'],
+    'folds': ['training', 'folds'],
+    'monitor': ['training', 'monitor'],
+    'patience': ['training', 'earlyStopping', 'patience'],
+    'runs-dir': ['output', 'runsDir'],
+    'name': ['output', 'name'],
+    'registry-dir': ['output', 'registryDir'],
+    'seed': ['seed']
+};
+
+const NUMERIC_FLAGS = new Set(['learning-rate', 'epochs', 'batch-size', 'validation-split', 'folds', 'patience', 'seed']);
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep-merges config objects; arrays and scalars from later sources replace earlier ones
+ * @param {Object} base - Base config
+ * @param {Object} override - Values taking precedence
+ * @returns {Object} New merged config
+ */
+const mergeConfig = (base, override) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    }
+    return merged;
+};
+
+/**
+ * Builds a complete config from partial overrides, picking a seed if none is set
+ * @param {Object} [overrides] - Values taking precedence, same shape as DEFAULT_CONFIG
+ * @param {Object} [base] - Config the overrides apply to
+ * @returns {Object} Resolved config
+ */
+const createConfig = (overrides = {}, base = DEFAULT_CONFIG) => {
+    const config = mergeConfig(base, overrides);
+    if (config.seed === null || config.seed === undefined) {
+        config.seed = Math.floor(Math.random() * 2 ** 31);
+    }
+    return config;
+};
+
+/**
+ * Reads a JSON or YAML config file
+ * @param {string} configPath - Path to a .json, .yaml or .yml file
+ * @returns {Object} Parsed config
+ */
+const loadConfigFile = (configPath) => {
+    const text = fs.readFileSync(configPath, 'utf8');
+    const ext = path.extname(configPath).toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') {
+        return yaml.load(text) || {};
+    }
+    return JSON.parse(text);
+};
+
+/**
+ * Turns parsed CLI flag values into a partial config
+ * @param {Object} values - Values returned by util.parseArgs
+ * @returns {Object} Partial config
+ */
+const flagsToConfig = (values) => {
+    const config = {};
+    for (const [flag, keys] of Object.entries(FLAG_OVERRIDES)) {
+        if (values[flag] === undefined) {
+            continue;
+        }
+        let value = values[flag];
+        if (NUMERIC_FLAGS.has(flag)) {
+            value = Number(value);
+            if (Number.isNaN(value)) {
+                throw new Error(`--${flag} expects a number, got "${values[flag]}"`);
+            }
+        }
+        let target = config;
+        keys.slice(0, -1).forEach(key => {
+            target = target[key] = target[key] || {};
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+    return config;
+};
+
+/**
+ * Resolves the training config: defaults, then the config file, then CLI flags.
+ * When resuming, the resumed run's config.json takes the place of the defaults.
+ * @param {string[]} argv - Command line arguments (without node and script)
+ * @param {Object} [extraOptions] - Additional util.parseArgs options accepted by the calling command
+ * @returns {{config: Object, help: boolean, resume: string|null, values: Object}} Resolved config,
+ *   whether help was requested, the run directory to resume and all parsed flag values
+ */
+const resolveConfig = (argv, extraOptions = {}) => {
+    const options = {
+        ...extraOptions,
+        config: { type: 'string', short: 'c' },
+        resume: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    };
+    Object.keys(FLAG_OVERRIDES).forEach(flag => {
+        options[flag] = { type: 'string' };
+    });
+
+    const { values } = parseArgs({ args: argv, options });
+    const baseConfig = values.resume
+        ? loadConfigFile(path.join(values.resume, 'config.json'))
+        : DEFAULT_CONFIG;
+    const fileConfig = values.config ? loadConfigFile(values.config) : {};
+
+    return {
+        config: createConfig(mergeConfig(fileConfig, flagsToConfig(values)), baseConfig),
+        help: Boolean(values.help),
+        resume: values.resume || null,
+        values
+    };
+};
+
+/**
+ * Returns the learning rate for an epoch according to the configured schedule
+ * @param {Object} optimizerConfig - The "optimizer" config section
+ * @param {number} epoch - Zero-based epoch
+ * @param {number} epochs - Total number of epochs
+ * @returns {number} Learning rate
+ */
+const learningRateAt = (optimizerConfig, epoch, epochs) => {
+    const base = optimizerConfig.learningRate;
+    const schedule = optimizerConfig.schedule || { type: 'constant' };
+
+    switch (schedule.type) {
+        case 'constant':
+            return base;
+        case 'step':
+            return base * Math.pow(schedule.factor ?? 0.5, Math.floor(epoch / (schedule.dropEvery ?? 10)));
+        case 'exponential':
+            return base * Math.pow(schedule.decayRate ?? 0.95, epoch);
+        case 'cosine': {
+            const min = schedule.minLearningRate ?? 0;
+            return min + (base - min) * (1 + Math.cos(Math.PI * epoch / (schedule.epochs ?? epochs))) / 2;
+        }
+        default:
+            throw new Error(`Unknown learning rate schedule: ${schedule.type}`);
+    }
+};
+
+const usage = () => `Usage: node trainDrawings.js [--config <file.json|yaml>] [options]
+
+Options:
+  -c, --config <file>         JSON or YAML config (see DEFAULT_CONFIG in config.js)
+  --train-dir <dir>           Training images (default ${DEFAULT_CONFIG.data.trainDir})
+  --test-dir <dir>            Test images (default ${DEFAULT_CONFIG.data.testDir})
+  --optimizer <name>          adam | sgd | momentum | rmsprop | adagrad
+  --learning-rate <n>         Initial learning rate
+  --schedule <type>           constant | step | exponential | cosine
+  --epochs <n>                Number of epochs
+  --batch-size <n>            Batch size
+  --validation-split <n>      Fraction of each class held out for validation
+  --folds <k>                 Stratified k-fold cross-validation (trains k models)
+  --monitor <metric>          Metric for best checkpoint and early stopping (default val_loss)
+  --patience <n>              Enable early stopping after n epochs without improvement
+  --resume <runDir>           Continue an interrupted run from its last checkpoint
+  --runs-dir <dir>            Parent directory for run outputs (default ${DEFAULT_CONFIG.output.runsDir})
+  --name <name>               Suffix for the run directory name
+  --registry-dir <dir>        Model registry to add the trained model to (default ${DEFAULT_CONFIG.output.registryDir})
+  --seed <n>                  Seed for shuffling and augmentation
+  -h, --help                  Show this help
+
+Flags take precedence over the config file, which takes precedence over the defaults.`;
+
+module.exports = { DEFAULT_CONFIG, mergeConfig, createConfig, loadConfigFile, resolveConfig, learningRateAt, usage };
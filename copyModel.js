@@ -34,8 +34,9 @@ console.log('Files in source directory:');
 const sourceFiles = fs.readdirSync(sourceModelDir);
 sourceFiles.forEach(file => console.log(`- ${file} (${fs.statSync(path.join(sourceModelDir, file)).size} bytes)`));
 
-// Files to copy
-const files = ['model.json', 'weights.bin'];
+// Files to copy: model.json and the weight files it lists (one weights.bin, or shards after exportModel.js)
+const { weightsManifest } = JSON.parse(fs.readFileSync(path.join(sourceModelDir, 'model.json'), 'utf8'));
+const files = ['model.json', ...weightsManifest.flatMap(group => group.paths)];
 
 // Copy model files to all possible locations
 directories.forEach(destDir => {
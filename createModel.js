@@ -1,57 +1,137 @@
 const tf = require('@tensorflow/tfjs-node');
 
-const model = tf.sequential();
+const { DEFAULT_CONFIG } = require('./config');
 
-// First convolutional layer
-model.add(tf.layers.conv2d({
-    inputShape: [28, 28, 3],  // Changed to match our input shape (RGB)
-    filters: 32,
-    kernelSize: [3, 3],
-    activation: 'relu'
-}));
+const DEFAULT_ARCHITECTURE = {
+    filters: [32, 64],
+    kernelSize: 3,
+    denseUnits: 128,
+    dropout: 0.5
+};
 
-// Max pooling
-model.add(tf.layers.maxPooling2d({
-    poolSize: [2, 2]
-}));
+/**
+ * Builds the shape classifier. The model is returned uncompiled: training
+ * compiles it with the optimizer from the config (see createOptimizer).
+ * @param {number} numClasses - Number of output classes
+ * @param {Object} [architecture] - { filters, kernelSize, denseUnits, dropout }
+ * @returns {tf.Sequential} Uncompiled model
+ */
+const createModel = (numClasses, architecture = {}) => {
+    const { filters, kernelSize, denseUnits, dropout } = { ...DEFAULT_ARCHITECTURE, ...architecture };
+    const model = tf.sequential();
 
-// Second convolutional layer
-model.add(tf.layers.conv2d({
-    filters: 64,
-    kernelSize: [3, 3],
-    activation: 'relu'
-}));
+    // Convolutional blocks, each followed by max pooling
+    filters.forEach((count, i) => {
+        model.add(tf.layers.conv2d({
+            ...(i === 0 ? { inputShape: [28, 28, 3] } : {}),  // Changed to match our input shape (RGB)
+            filters: count,
+            kernelSize: [kernelSize, kernelSize],
+            activation: 'relu'
+        }));
 
-// Max pooling
-model.add(tf.layers.maxPooling2d({
-    poolSize: [2, 2]
-}));
+        model.add(tf.layers.maxPooling2d({
+            poolSize: [2, 2]
+        }));
+    });
 
-// Flatten the output
-model.add(tf.layers.flatten());
+    // Flatten the output
+    model.add(tf.layers.flatten());
 
-// Dense layers
-model.add(tf.layers.dense({
-    units: 128,
-    activation: 'relu'
-}));
+    // Dense layers
+    model.add(tf.layers.dense({
+        units: denseUnits,
+        activation: 'relu'
+    }));
 
-model.add(tf.layers.dropout(0.5));
+    model.add(tf.layers.dropout(dropout));
 
-model.add(tf.layers.dense({
-    units: 2,  // 2 classes: circle and triangle
-    activation: 'softmax'
-}));
+    model.add(tf.layers.dense({
+        units: numClasses,  // One output per discovered class
+        activation: 'softmax'
+    }));
 
-// Compile the model
-model.compile({
-    optimizer: tf.train.adam(0.001),
-    loss: 'categoricalCrossentropy',
-    metrics: ['accuracy']
-});
+    return model;
+};
 
-module.exports = model;
+/**
+ * Creates an optimizer from the "optimizer" config section
+ * @param {Object} optimizerConfig - { name, learningRate, momentum? }
+ * @returns {tf.Optimizer} Optimizer instance
+ */
+const createOptimizer = ({ name, learningRate, momentum = 0.9 }) => {
+    switch (name) {
+        case 'adam':
+            return tf.train.adam(learningRate);
+        case 'sgd':
+            return tf.train.sgd(learningRate);
+        case 'momentum':
+            return tf.train.momentum(learningRate, momentum);
+        case 'rmsprop':
+            return tf.train.rmsprop(learningRate);
+        case 'adagrad':
+            return tf.train.adagrad(learningRate);
+        default:
+            throw new Error(`Unknown optimizer: ${name}`);
+    }
+};
 
+/**
+ * Compiles a model for training with a new optimizer from the config
+ * @param {tf.LayersModel} model - Model to compile
+ * @param {Object} optimizerConfig - The "optimizer" config section
+ * @returns {tf.Optimizer} The optimizer the model now trains with
+ */
+const compileModel = (model, optimizerConfig) => {
+    const optimizer = createOptimizer(optimizerConfig);
+    model.compile({
+        optimizer,
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+    return optimizer;
+};
 
+/**
+ * Changes an optimizer's learning rate for the steps that follow. sgd and
+ * momentum keep -learningRate as a tensor they only rebuild in setLearningRate,
+ * so assigning the property alone would not change their updates.
+ * @param {tf.Optimizer} optimizer - Optimizer from createOptimizer
+ * @param {number} learningRate - New learning rate
+ */
+const setLearningRate = (optimizer, learningRate) => {
+    if (typeof optimizer.setLearningRate === 'function') {
+        optimizer.setLearningRate(learningRate);
+    } else {
+        optimizer.learningRate = learningRate;
+    }
+};
 
+/**
+ * Builds a new compiled classifier, ready for model.fit. Every call returns
+ * an independent model with its own optimizer.
+ * @param {Object} options - Model options
+ * @param {number} [options.numClasses] - Number of output classes
+ * @param {string[]} [options.classNames] - Class names; sets numClasses when it is not given
+ * @param {Object} [options.architecture] - { filters, kernelSize, denseUnits, dropout }
+ * @param {Object} [options.optimizer] - { name, learningRate, momentum? } (default the training
+ *   config's optimizer); null returns the model uncompiled
+ * @returns {tf.Sequential} Model
+ */
+const buildModel = ({
+    numClasses,
+    classNames,
+    architecture = {},
+    optimizer = DEFAULT_CONFIG.optimizer
+} = {}) => {
+    const outputs = numClasses ?? (classNames && classNames.length);
+    if (!Number.isInteger(outputs) || outputs < 2) {
+        throw new Error('buildModel needs numClasses or classNames for at least two classes');
+    }
+    const model = createModel(outputs, architecture);
+    if (optimizer) {
+        compileModel(model, optimizer);
+    }
+    return model;
+};
 
+module.exports = { DEFAULT_ARCHITECTURE, createModel, createOptimizer, compileModel, setLearningRate, buildModel };
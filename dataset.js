@@ -0,0 +1,104 @@
+const tf = require('@tensorflow/tfjs-node');
+
+const { decodeImage } = require('./getData');
+const { createRandom } = require('./random');
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+const shuffled = (items, random = Math.random) => {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/**
+ * Creates a tf.data pipeline over labeled image files. Images are decoded,
+ * augmented, shuffled and batched lazily, so at most
+ * shuffleBufferSize samples plus the prefetched batches are held in memory
+ * whatever the number of files. Every pass over the data is one epoch, and its
+ * shuffle and augmentation depend only on seed and the epoch number, so a run
+ * resumed at initialEpoch continues the sequence an uninterrupted run sees.
+ * @param {Array<{filePath: string, className: string}>} files - Labeled files
+ * @param {string[]} classNames - Class names, index = label
+ * @param {Object} options - Pipeline options
+ * @param {number} options.batchSize - Samples per batch
+ * @param {boolean} [options.shuffle] - Reshuffle files and samples every epoch
+ * @param {number} [options.shuffleBufferSize] - Samples held for shuffling
+ * @param {number} [options.seed] - Seed for the shuffle order and augmentation
+ * @param {number} [options.initialEpoch] - Epoch of the first pass (when resuming training)
+ * @param {Function} [options.augmenter] - (seed: number) => (image: Tensor3D) => Tensor3D: called
+ *   at the start of every epoch for the augmentation applied to each of its samples
+ * @param {number} [options.prefetch] - Batches prepared ahead of training
+ * @returns {tf.data.Dataset} Dataset of { xs: [b, 28, 28, 3], ys: [b, numClasses] }
+ */
+const createImageDataset = (files, classNames, {
+    batchSize,
+    shuffle = false,
+    shuffleBufferSize = 256,
+    seed = Math.floor(Math.random() * 2 ** 31),
+    initialEpoch = 0,
+    augmenter = null,
+    prefetch = 2
+}) => {
+    let epoch = initialEpoch;
+    const samples = tf.data.generator(async function* () {
+        const random = createRandom(seed + epoch++);
+        const order = shuffle ? shuffled(files, random) : files;
+        const augment = augmenter ? augmenter(Math.floor(random() * 2 ** 31)) : null;
+        // Samples are shuffled through a buffer here rather than with dataset.shuffle,
+        // whose order is not tied to the epoch
+        const buffer = [];
+        for (const { filePath, className } of order) {
+            const label = classNames.indexOf(className);
+            if (label === -1) {
+                throw new Error(`Unknown class "${className}" for ${filePath}. Known classes: ${classNames.join(', ')}`);
+            }
+
+            const image = await decodeImage(filePath);
+            const xs = augment ? augment(image) : image;
+            if (xs !== image) {
+                image.dispose();
+            }
+            const sample = { xs, ys: tf.oneHot(label, classNames.length) };
+            if (!shuffle) {
+                yield sample;
+            } else if (buffer.length < shuffleBufferSize) {
+                buffer.push(sample);
+            } else {
+                const i = Math.floor(random() * buffer.length);
+                yield buffer[i];
+                buffer[i] = sample;
+            }
+        }
+        while (buffer.length > 0) {
+            const i = Math.floor(random() * buffer.length);
+            [buffer[i], buffer[buffer.length - 1]] = [buffer[buffer.length - 1], buffer[i]];
+            yield buffer.pop();
+        }
+    });
+
+    return samples.batch(batchSize).prefetch(prefetch);
+};
+
+/**
+ * Counts the files of each class
+ * @param {Array<{className: string}>} files - Labeled files
+ * @param {string[]} classNames - Class names
+ * @returns {number[]} Count per class index
+ */
+const countFilesPerClass = (files, classNames) => {
+    const counts = new Array(classNames.length).fill(0);
+    files.forEach(({ className }) => {
+        counts[classNames.indexOf(className)]++;
+    });
+    return counts;
+};
+
+module.exports = { createImageDataset, countFilesPerClass, shuffled };
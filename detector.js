@@ -0,0 +1,63 @@
+const { DEFAULT_MODEL_PATH, predict, predictImages, detectObjects } = require('./predict');
+const { loadModelFrom, resolveModelPath, getClassNames } = require('./modelUtils');
+
+/**
+ * Loads a model and returns a detector that owns it. Unlike the functions in
+ * predict.js, which share one cached model per path, every detector has its
+ * own copy, so disposing one does not affect any other.
+ * @param {Object} [options] - Options
+ * @param {string} [options.modelPath] - Model directory or model.json (default model/)
+ * @param {number} [options.topK] - Default number of ranked classes per result
+ * @param {number} [options.threshold] - Default decision threshold (see describePrediction)
+ * @returns {Promise<Object>} Detector:
+ *   - metadata: the model's stored metadata plus { modelPath, classNames, inputShape }
+ *   - predict(input, options): result for one image path, buffer or tensor (see predict)
+ *   - predictBatch(inputs, options): results in input order (see predictImages)
+ *   - detectObjects(input, options): every shape in an image path or buffer with its
+ *     bounding box (see detectObjects in predict.js)
+ *   - dispose(): frees the model; later calls reject
+ * @throws {Error} With code 'EMODELLOAD' if the model cannot be loaded
+ */
+const createDetector = async ({ modelPath = DEFAULT_MODEL_PATH, ...defaults } = {}) => {
+    const modelJsonPath = resolveModelPath(modelPath);
+    let model;
+    try {
+        model = await loadModelFrom(modelJsonPath);
+    } catch (error) {
+        const loadError = new Error(`Failed to load model from ${modelJsonPath}: ${error.message}`);
+        loadError.code = 'EMODELLOAD';
+        throw loadError;
+    }
+
+    const metadata = Object.freeze({
+        ...(model.getUserDefinedMetadata() || {}),
+        modelPath: modelJsonPath,
+        classNames: getClassNames(model),
+        inputShape: model.inputs[0].shape.slice(1)
+    });
+
+    const loadedModel = () => {
+        if (!model) {
+            throw new Error('Detector has been disposed');
+        }
+        return model;
+    };
+
+    return {
+        metadata,
+        predict: async (input, options = {}) =>
+            predict(input, { ...defaults, ...options, model: loadedModel() }),
+        predictBatch: async (inputs, options = {}) =>
+            predictImages(inputs, { ...defaults, ...options, model: loadedModel() }),
+        detectObjects: async (input, options = {}) =>
+            detectObjects(input, { ...defaults, ...options, model: loadedModel() }),
+        dispose: () => {
+            if (model) {
+                model.dispose();
+                model = null;
+            }
+        }
+    };
+};
+
+module.exports = { createDetector };
@@ -0,0 +1,188 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { listLabeledFiles } = require('./getData');
+const { createImageDataset } = require('./dataset');
+const { loadModelFrom, getClassNames, resolveModelPath, calibrateProbabilities } = require('./modelUtils');
+const { timestamp } = require('./runs');
+const {
+    argMax,
+    confusionMatrix,
+    classificationMetrics,
+    rocCurve,
+    precisionRecallCurve,
+    reliability,
+    logLoss
+} = require('./metrics');
+const renderReport = require('./evaluationReport');
+
+/**
+ * Runs a model over labeled files
+ * @param {tf.LayersModel} model - Model to run
+ * @param {Array<{filePath: string, className: string}>} files - Labeled files
+ * @param {string[]} classNames - The model's class names
+ * @param {Object} [options] - { batchSize }
+ * @returns {Promise<number[][]>} Uncalibrated model output per file
+ */
+const predictProbabilities = async (model, files, classNames, { batchSize = 32 } = {}) => {
+    const dataset = createImageDataset(files, classNames, { batchSize });
+    const probabilities = [];
+    await dataset.forEachAsync(({ xs, ys }) => {
+        const output = model.predict(xs);
+        probabilities.push(...output.arraySync());
+        tf.dispose([xs, ys, output]);
+    });
+    return probabilities;
+};
+
+/**
+ * Runs a model over labeled files and computes the full evaluation report
+ * @param {tf.LayersModel} model - Model to evaluate
+ * @param {Array<{filePath: string, className: string}>} files - Labeled files
+ * @param {string[]} classNames - The model's class names
+ * @param {Object} [options] - { batchSize, bins, calibrated: apply the model's stored calibration (default true) }
+ * @returns {Promise<Object>} Report (see README, "Evaluation")
+ */
+const evaluateModel = async (model, files, classNames, { batchSize = 32, bins = 10, calibrated = true } = {}) => {
+    const outputs = await predictProbabilities(model, files, classNames, { batchSize });
+    const probabilities = calibrated ? await calibrateProbabilities(model, outputs) : outputs;
+
+    const labels = files.map(file => classNames.indexOf(file.className));
+    const predicted = probabilities.map(argMax);
+    const matrix = confusionMatrix(labels, predicted, classNames.length);
+    const { perClass, macro, accuracy } = classificationMetrics(matrix, classNames);
+
+    const roc = {};
+    const pr = {};
+    classNames.forEach((className, c) => {
+        const scores = probabilities.map(probs => probs[c]);
+        const positives = labels.map(label => label === c);
+        roc[className] = rocCurve(scores, positives);
+        pr[className] = precisionRecallCurve(scores, positives);
+    });
+
+    const predictions = files.map((file, i) => ({
+        file: file.filePath,
+        actual: file.className,
+        predicted: classNames[predicted[i]],
+        confidence: probabilities[i][predicted[i]],
+        probabilities: Object.fromEntries(classNames.map((name, c) => [name, probabilities[i][c]]))
+    }));
+
+    return {
+        classNames,
+        calibrated: probabilities !== outputs,
+        numSamples: files.length,
+        accuracy,
+        loss: logLoss(probabilities, labels),
+        macro,
+        perClass,
+        confusionMatrix: matrix,
+        roc,
+        pr,
+        calibration: reliability(probabilities, labels, bins),
+        misclassified: predictions.filter(p => p.actual !== p.predicted),
+        predictions
+    };
+};
+
+/**
+ * Writes evaluation.json and the self-contained evaluation.html
+ * @param {Object} report - Report from evaluateModel (plus optional context fields)
+ * @param {string} outDir - Output directory (created if missing)
+ * @returns {{json: string, html: string}} Paths of the written files
+ */
+const writeReport = (report, outDir) => {
+    fs.mkdirSync(outDir, { recursive: true });
+    const json = path.join(outDir, 'evaluation.json');
+    const html = path.join(outDir, 'evaluation.html');
+    fs.writeFileSync(json, JSON.stringify(report, null, 2));
+    fs.writeFileSync(html, renderReport(report));
+    return { json, html };
+};
+
+/**
+ * Formats the headline numbers of a report for the console
+ * @param {Object} report - Report from evaluateModel
+ * @returns {string} Multi-line summary
+ */
+const summarizeReport = (report) => {
+    const lines = [
+        `Samples: ${report.numSamples}`,
+        `Loss: ${report.loss.toFixed(3)}`,
+        `Accuracy: ${report.accuracy.toFixed(3)}`,
+        `Expected calibration error: ${report.calibration.ece.toFixed(3)}${report.calibrated ? ' (calibrated)' : ''}`,
+        '',
+        'Class            Precision  Recall  F1     Support'
+    ];
+    report.perClass.forEach(c => {
+        lines.push(`${c.className.padEnd(16)} ${c.precision.toFixed(3).padStart(9)}  ${c.recall.toFixed(3).padStart(6)}  ${c.f1.toFixed(3)}  ${String(c.support).padStart(7)}`);
+    });
+    lines.push(`${'macro avg'.padEnd(16)} ${report.macro.precision.toFixed(3).padStart(9)}  ${report.macro.recall.toFixed(3).padStart(6)}  ${report.macro.f1.toFixed(3)}`);
+    return lines.join('\n');
+};
+
+const usage = () => `Usage: node evaluate.js [--model <dir|model.json>] [--data <dir>] [--out <dir>]
+
+Options:
+  --model <path>       Saved model directory or model.json (default model/)
+  --data <dir>         Labeled images, any layout supported for training (default data/test)
+  --out <dir>          Report directory (default reports/<timestamp>)
+  --batch-size <n>     Prediction batch size (default 32)
+  --bins <n>           Reliability diagram bins (default 10)
+  --uncalibrated       Ignore the calibration stored with the model
+  -h, --help           Show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                model: { type: 'string', default: path.join(__dirname, 'model') },
+                data: { type: 'string', default: path.join('data', 'test') },
+                out: { type: 'string' },
+                'batch-size': { type: 'string', default: '32' },
+                bins: { type: 'string', default: '10' },
+                uncalibrated: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+
+    const model = await loadModelFrom(values.model);
+    const classNames = getClassNames(model);
+    const files = listLabeledFiles(values.data);
+
+    const report = await evaluateModel(model, files, classNames, {
+        batchSize: Number(values['batch-size']),
+        bins: Number(values.bins),
+        calibrated: !values.uncalibrated
+    });
+    report.model = resolveModelPath(values.model);
+    report.data = path.resolve(values.data);
+    report.createdAt = new Date().toISOString();
+
+    console.log(summarizeReport(report));
+    const written = writeReport(report, values.out || path.join('reports', timestamp()));
+    console.log(`\nReport written to ${written.json} and ${written.html}`);
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error during evaluation:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { predictProbabilities, evaluateModel, writeReport, summarizeReport };
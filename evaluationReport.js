@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Colors for per-class series in the charts
+const PALETTE = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const format = (value) => value === null || value === undefined ? 'n/a' : value.toFixed(3);
+
+/**
+ * Renders a square SVG chart with axes from 0 to 1
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Chart title
+ * @param {string} options.xLabel - X axis label
+ * @param {string} options.yLabel - Y axis label
+ * @param {Array<{name: string, points: number[][]}>} [options.series] - Lines to draw
+ * @param {Function} [options.extra] - (x, y) => additional SVG markup, given the axis scales
+ * @param {boolean} [options.diagonal] - Draw the y = x reference line
+ * @returns {string} SVG markup
+ */
+const chart = ({ title, xLabel, yLabel, series = [], extra = () => '', diagonal = false }) => {
+    const size = 260;
+    const margin = 40;
+    const x = (value) => margin + value * size;
+    const y = (value) => margin + (1 - value) * size;
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(t => `
+        <text x="${x(t)}" y="${y(0) + 16}" text-anchor="middle">${t}</text>
+        <text x="${x(0) - 6}" y="${y(t) + 4}" text-anchor="end">${t}</text>`).join('');
+    const lines = series.map((s, i) => `
+        <polyline fill="none" stroke="${PALETTE[i % PALETTE.length]}" stroke-width="2"
+            points="${s.points.map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ')}" />`).join('');
+    const legend = series.map((s, i) => `
+        <text x="${x(1) + 8}" y="${y(1) + 14 + i * 16}" fill="${PALETTE[i % PALETTE.length]}">${escapeHtml(s.name)}</text>`).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size + margin * 2 + 140}" height="${size + margin * 2}">
+        <text x="${x(0.5)}" y="20" text-anchor="middle" font-weight="bold">${escapeHtml(title)}</text>
+        <rect x="${x(0)}" y="${y(1)}" width="${size}" height="${size}" fill="none" stroke="#999" />
+        ${diagonal ? `<line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#bbb" stroke-dasharray="4" />` : ''}
+        ${ticks}
+        <text x="${x(0.5)}" y="${y(0) + 34}" text-anchor="middle">${escapeHtml(xLabel)}</text>
+        <text x="12" y="${y(0.5)}" text-anchor="middle" transform="rotate(-90 12 ${y(0.5)})">${escapeHtml(yLabel)}</text>
+        ${extra(x, y)}
+        ${lines}
+        ${legend}
+    </svg>`;
+};
+
+// Confusion matrix as a table shaded by row-normalized counts
+const confusionTable = ({ classNames, confusionMatrix }) => {
+    const header = classNames.map(name => `<th>${escapeHtml(name)}</th>`).join('');
+    const rows = confusionMatrix.map((row, i) => {
+        const total = row.reduce((a, b) => a + b, 0) || 1;
+        const cells = row.map((count, j) => {
+            const alpha = (count / total).toFixed(2);
+            const color = i === j ? `rgba(44,160,44,${alpha})` : `rgba(214,39,40,${alpha})`;
+            return `<td style="background:${color}">${count}</td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(classNames[i])}</th>${cells}</tr>`;
+    }).join('');
+    return `<table class="matrix"><tr><th>actual \\ predicted</th>${header}</tr>${rows}</table>`;
+};
+
+// Reliability diagram: accuracy per confidence bin against the diagonal
+const reliabilityChart = ({ calibration }) => {
+    const bars = (x, y) => calibration.bins.filter(bin => bin.count > 0).map(bin => `
+        <rect x="${x(bin.lower).toFixed(1)}" y="${y(bin.accuracy).toFixed(1)}" width="${(x(bin.upper) - x(bin.lower) - 2).toFixed(1)}"
+            height="${(y(0) - y(bin.accuracy)).toFixed(1)}" fill="rgba(31,119,180,0.6)">
+            <title>${bin.count} samples, confidence ${format(bin.confidence)}, accuracy ${format(bin.accuracy)}</title>
+        </rect>`).join('');
+    return chart({
+        title: `Reliability (ECE ${format(calibration.ece)})`,
+        xLabel: 'Confidence',
+        yLabel: 'Accuracy',
+        extra: bars,
+        diagonal: true
+    });
+};
+
+// Inlines an image file as a data URL so the report stays self-contained
+const thumbnail = (filePath) => {
+    try {
+        const ext = path.extname(filePath).slice(1).toLowerCase();
+        const mime = ext === 'jpg' ? 'jpeg' : ext;
+        const data = fs.readFileSync(filePath).toString('base64');
+        return `<img src="data:image/${mime};base64,${data}" width="56" height="56" alt="" />`;
+    } catch (error) {
+        return '';
+    }
+};
+
+/**
+ * Renders an evaluation report as a self-contained HTML page
+ * @param {Object} report - Report from evaluateModel
+ * @returns {string} HTML document
+ */
+const renderReport = (report) => {
+    const { classNames } = report;
+
+    const metricRows = report.perClass.map(c => `
+        <tr><td>${escapeHtml(c.className)}</td><td>${format(c.precision)}</td><td>${format(c.recall)}</td>
+        <td>${format(c.f1)}</td><td>${c.support}</td>
+        <td>${format(report.roc[c.className].auc)}</td><td>${format(report.pr[c.className].averagePrecision)}</td></tr>`).join('');
+
+    const roc = chart({
+        title: 'ROC (one-vs-rest)',
+        xLabel: 'False positive rate',
+        yLabel: 'True positive rate',
+        diagonal: true,
+        series: classNames.map(name => ({ name, points: report.roc[name].points.map(p => [p.fpr, p.tpr]) }))
+    });
+    const pr = chart({
+        title: 'Precision-recall (one-vs-rest)',
+        xLabel: 'Recall',
+        yLabel: 'Precision',
+        series: classNames.map(name => ({ name, points: report.pr[name].points.map(p => [p.recall, p.precision]) }))
+    });
+
+    const misclassifiedRows = report.misclassified.map(m => `
+        <tr><td>${thumbnail(m.file)}</td><td>${escapeHtml(m.file)}</td><td>${escapeHtml(m.actual)}</td>
+        <td>${escapeHtml(m.predicted)}</td>
+        <td>${classNames.map(name => `${escapeHtml(name)}: ${format(m.probabilities[name])}`).join('<br>')}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Evaluation report</title>
+<style>
+    body { font-family: sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; margin: 12px 0; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+    td:first-child, th:first-child { text-align: left; }
+    .charts { display: flex; flex-wrap: wrap; gap: 16px; }
+    svg text { font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>Evaluation report</h1>
+<p>
+    Model: ${escapeHtml(report.model || 'n/a')}<br>
+    Data: ${escapeHtml(report.data || 'n/a')}<br>
+    Created: ${escapeHtml(report.createdAt || 'n/a')}
+</p>
+<p>
+    Samples: ${report.numSamples} &middot; Accuracy: ${format(report.accuracy)} &middot;
+    Loss: ${format(report.loss)} &middot; Macro F1: ${format(report.macro.f1)} &middot;
+    ECE: ${format(report.calibration.ece)}
+</p>
+
+<h2>Confusion matrix</h2>
+${confusionTable(report)}
+
+<h2>Per-class metrics</h2>
+<table>
+    <tr><th>Class</th><th>Precision</th><th>Recall</th><th>F1</th><th>Support</th><th>ROC AUC</th><th>Avg. precision</th></tr>
+    ${metricRows}
+    <tr><th>macro avg</th><td>${format(report.macro.precision)}</td><td>${format(report.macro.recall)}</td><td>${format(report.macro.f1)}</td><td>${report.numSamples}</td><td></td><td></td></tr>
+</table>
+
+<h2>Curves</h2>
+<div class="charts">${roc}${pr}${reliabilityChart(report)}</div>
+
+<h2>Misclassified (${report.misclassified.length})</h2>
+<table>
+    <tr><th></th><th>File</th><th>Actual</th><th>Predicted</th><th>Probabilities</th></tr>
+    ${misclassifiedRows}
+</table>
+</body>
+</html>
+`;
+};
+
+module.exports = renderReport;
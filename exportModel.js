@@ -0,0 +1,340 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { listLabeledFiles } = require('./getData');
+const { loadModelFrom, getClassNames, resolveModelPath } = require('./modelUtils');
+const { evaluateModel } = require('./evaluate');
+const { timestamp } = require('./runs');
+const { parseSize } = require('./server');
+
+// Weight encodings, largest first; float32 is the unquantized baseline
+const DTYPES = ['float32', 'float16', 'uint8'];
+
+// Same default shard size as the TensorFlow.js converter
+const DEFAULT_SHARD_BYTES = 4 * 1024 * 1024;
+
+const float32View = new Float32Array(1);
+const int32View = new Int32Array(float32View.buffer);
+
+/**
+ * Converts a number to the bits of the nearest IEEE half-precision float
+ * @param {number} value - Value to convert
+ * @returns {number} 16-bit pattern
+ */
+const toFloat16Bits = (value) => {
+    float32View[0] = value;
+    const bits = int32View[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const rawExponent = (bits >>> 23) & 0xff;
+    let mantissa = bits & 0x7fffff;
+
+    if (rawExponent === 0xff) {
+        return sign | 0x7c00 | (mantissa ? 0x200 : 0);  // Infinity or NaN
+    }
+    let exponent = rawExponent - 127 + 15;
+    if (exponent >= 0x1f) {
+        return sign | 0x7c00;  // Too large: infinity
+    }
+    if (exponent <= 0) {
+        if (exponent < -10) {
+            return sign;  // Too small: zero
+        }
+        // Subnormal half: shift the implicit leading 1 into the mantissa
+        mantissa = (mantissa | 0x800000) >> (1 - exponent);
+        return sign | ((mantissa + 0x1000) >> 13);
+    }
+    if (mantissa & 0x1000) {
+        // Round to nearest, carrying into the exponent when the mantissa overflows
+        mantissa += 0x2000;
+        if (mantissa & 0x800000) {
+            mantissa = 0;
+            exponent++;
+            if (exponent >= 0x1f) {
+                return sign | 0x7c00;
+            }
+        }
+    }
+    return sign | (exponent << 10) | (mantissa >> 13);
+};
+
+/**
+ * Encodes the values of one weight
+ * @param {Float32Array} values - Weight values
+ * @param {string} dtype - One of DTYPES
+ * @returns {{data: ArrayBufferView, quantization: Object|null}} Encoded bytes and the
+ *   quantization entry TensorFlow.js needs to decode them (null for float32)
+ */
+const encodeValues = (values, dtype) => {
+    if (dtype === 'float32') {
+        return { data: values, quantization: null };
+    }
+    if (dtype === 'float16') {
+        return { data: Uint16Array.from(values, toFloat16Bits), quantization: { dtype: 'float16' } };
+    }
+    // uint8: value = q * scale + min. The range includes 0 and min is nudged to
+    // a multiple of scale, so zeros (biases, padding) stay exactly zero.
+    let min = 0;
+    let max = 0;
+    values.forEach(v => {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+    });
+    const scale = max > min ? (max - min) / 255 : 1;
+    const zeroPoint = Math.round(-min / scale);
+    min = -zeroPoint * scale;
+    const data = Uint8Array.from(values, v => Math.min(255, Math.max(0, Math.round((v - min) / scale))));
+    return { data, quantization: { dtype: 'uint8', min, scale } };
+};
+
+/**
+ * Writes a copy of a saved model with its weights re-encoded and split into
+ * shards (group1-shard1ofN.bin, ...). TensorFlow.js dequantizes float16 and
+ * uint8 weights when it loads the model, in Node and in the browser alike.
+ * @param {string} modelPath - Model directory or model.json
+ * @param {string} outDir - Directory for the new model.json and shards
+ * @param {Object} [options] - Options
+ * @param {string} [options.dtype] - One of DTYPES (default float32)
+ * @param {number} [options.shardBytes] - Maximum shard size in bytes
+ * @returns {{modelJsonPath: string, weightBytes: number, shards: number}} Written model
+ */
+const writeVariant = (modelPath, outDir, { dtype = 'float32', shardBytes = DEFAULT_SHARD_BYTES } = {}) => {
+    if (!DTYPES.includes(dtype)) {
+        throw new Error(`Unknown weight type "${dtype}" (expected ${DTYPES.join(', ')})`);
+    }
+    const modelJsonPath = resolveModelPath(modelPath);
+    const sourceDir = path.dirname(modelJsonPath);
+    const modelJson = JSON.parse(fs.readFileSync(modelJsonPath, 'utf8'));
+
+    // Decode every group, so models that are already sharded or quantized work too
+    const specs = [];
+    const tensors = {};
+    modelJson.weightsManifest.forEach(group => {
+        const buffer = Buffer.concat(group.paths.map(file => fs.readFileSync(path.join(sourceDir, file))));
+        const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        Object.assign(tensors, tf.io.decodeWeights(arrayBuffer, group.weights));
+        specs.push(...group.weights);
+    });
+
+    const weights = [];
+    const chunks = specs.map(spec => {
+        const tensor = tensors[spec.name];
+        // Only float weights are quantized; integer weights are copied as they are
+        const encoded = tensor.dtype === 'float32'
+            ? encodeValues(tensor.dataSync(), dtype)
+            : { data: tensor.dataSync(), quantization: null };
+        weights.push({
+            name: spec.name,
+            shape: spec.shape,
+            dtype: tensor.dtype,
+            ...(encoded.quantization ? { quantization: encoded.quantization } : {})
+        });
+        return Buffer.from(encoded.data.buffer, encoded.data.byteOffset, encoded.data.byteLength);
+    });
+    tf.dispose(Object.values(tensors));
+
+    const data = Buffer.concat(chunks);
+    const numShards = Math.max(1, Math.ceil(data.length / shardBytes));
+    fs.mkdirSync(outDir, { recursive: true });
+    const paths = [];
+    for (let i = 0; i < numShards; i++) {
+        const file = `group1-shard${i + 1}of${numShards}.bin`;
+        fs.writeFileSync(path.join(outDir, file), data.subarray(i * shardBytes, (i + 1) * shardBytes));
+        paths.push(file);
+    }
+
+    const outJsonPath = path.join(outDir, 'model.json');
+    fs.writeFileSync(outJsonPath, JSON.stringify({
+        ...modelJson,
+        userDefinedMetadata: {
+            ...modelJson.userDefinedMetadata,
+            export: { dtype, source: modelJsonPath, exportedAt: new Date().toISOString() }
+        },
+        weightsManifest: [{ paths, weights }]
+    }, null, 2));
+    return { modelJsonPath: outJsonPath, weightBytes: data.length, shards: numShards };
+};
+
+/**
+ * Exports a model in several weight encodings and evaluates each one on the
+ * same labeled data, to weigh download size against accuracy
+ * @param {string} modelPath - Model directory or model.json
+ * @param {string} dataDir - Labeled test images
+ * @param {Object} [options] - Options
+ * @param {string} [options.outDir] - Variants are written to <outDir>/<dtype>/
+ * @param {string[]} [options.dtypes] - Encodings to export (default all of DTYPES)
+ * @param {number} [options.shardBytes] - Maximum shard size in bytes
+ * @param {number} [options.batchSize] - Prediction batch size
+ * @returns {Promise<Object>} { model, data, numSamples, variants: [{ dtype, dir, weightBytes,
+ *   shards, accuracy, loss, agreement }] } where agreement is the fraction of predictions
+ *   that match the first variant's
+ */
+const exportModel = async (modelPath, dataDir, {
+    outDir = path.join('exports', timestamp()),
+    dtypes = DTYPES,
+    shardBytes = DEFAULT_SHARD_BYTES,
+    batchSize = 32
+} = {}) => {
+    const files = listLabeledFiles(dataDir);
+    if (files.length === 0) {
+        throw new Error(`No labeled images in ${dataDir}`);
+    }
+
+    const variants = [];
+    for (const dtype of dtypes) {
+        const dir = path.join(outDir, dtype);
+        const { modelJsonPath, weightBytes, shards } = writeVariant(modelPath, dir, { dtype, shardBytes });
+
+        // Evaluated from the written files, exactly as the browser would load them
+        const model = await loadModelFrom(modelJsonPath);
+        const report = await evaluateModel(model, files, getClassNames(model), { batchSize });
+        model.dispose();
+
+        const predicted = report.predictions.map(p => p.predicted);
+        const baseline = variants.length > 0 ? variants[0].predicted : predicted;
+        variants.push({
+            dtype,
+            dir,
+            weightBytes,
+            shards,
+            accuracy: report.accuracy,
+            loss: report.loss,
+            agreement: predicted.filter((label, i) => label === baseline[i]).length / predicted.length,
+            predicted
+        });
+    }
+
+    return {
+        model: resolveModelPath(modelPath),
+        data: path.resolve(dataDir),
+        numSamples: files.length,
+        variants: variants.map(({ predicted, ...variant }) => variant)
+    };
+};
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * Formats the export result as a size-vs-accuracy table
+ * @param {Object} result - Result of exportModel
+ * @returns {string} Table
+ */
+const formatComparison = ({ variants, numSamples }) => {
+    const [baseline] = variants;
+    const rows = variants.map(v => [
+        v.dtype,
+        formatBytes(v.weightBytes),
+        `${Math.round(v.weightBytes / baseline.weightBytes * 100)}%`,
+        String(v.shards),
+        v.accuracy.toFixed(4),
+        v === baseline ? '' : `${v.accuracy >= baseline.accuracy ? '+' : ''}${((v.accuracy - baseline.accuracy) * 100).toFixed(2)} pt`,
+        v.loss.toFixed(4),
+        `${(v.agreement * 100).toFixed(1)}%`
+    ]);
+    const header = ['Weights', 'Size', 'Relative', 'Shards', 'Accuracy', 'Change', 'Log loss', 'Agreement'];
+    const widths = header.map((h, c) => Math.max(h.length, ...rows.map(row => row[c].length)));
+    const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join('  ').trimEnd();
+    return [
+        line(header),
+        line(widths.map(w => '-'.repeat(w))),
+        ...rows.map(line),
+        '',
+        `${numSamples} test images. Change and agreement are relative to ${baseline.dtype}.`
+    ].join('\n');
+};
+
+const usage = () => `Usage: node exportModel.js [options]
+
+Writes float16 and uint8-quantized copies of a saved model with sharded weight
+files, evaluates each on labeled test images and prints a size-vs-accuracy table.
+
+Options:
+  --model <path>       Saved model directory or model.json (default model/)
+  --data <dir>         Labeled test images (default data/test)
+  --out <dir>          Output directory; each variant goes to <dir>/<type>/ (default exports/<timestamp>)
+  --dtypes <list>      Comma-separated weight types (default ${DTYPES.join(',')})
+  --shard-size <size>  Maximum weight file size, e.g. 512kb or 4mb (default 4mb)
+  --batch-size <n>     Prediction batch size (default 32)
+  --format <name>      table | json (default table)
+  -h, --help           Show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                model: { type: 'string', default: path.join(__dirname, 'model') },
+                data: { type: 'string', default: path.join('data', 'test') },
+                out: { type: 'string' },
+                dtypes: { type: 'string', default: DTYPES.join(',') },
+                'shard-size': { type: 'string', default: '4mb' },
+                'batch-size': { type: 'string', default: '32' },
+                format: { type: 'string', default: 'table' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+    const problems = [];
+    const dtypes = values.dtypes.split(',').map(dtype => dtype.trim()).filter(Boolean);
+    const unknown = dtypes.filter(dtype => !DTYPES.includes(dtype));
+    if (dtypes.length === 0 || unknown.length > 0) {
+        problems.push(`Invalid --dtypes: expected a list of ${DTYPES.join(', ')}`);
+    }
+    let shardBytes;
+    try {
+        shardBytes = parseSize(values['shard-size']);
+        if (shardBytes < 1) {
+            throw new Error(`Invalid size: ${values['shard-size']}`);
+        }
+    } catch (error) {
+        problems.push(`Invalid --shard-size: ${error.message}`);
+    }
+    if (!Number.isInteger(Number(values['batch-size'])) || Number(values['batch-size']) < 1) {
+        problems.push('Invalid --batch-size: expected a positive integer');
+    }
+    if (!['table', 'json'].includes(values.format)) {
+        problems.push(`Unknown format "${values.format}" (expected table or json)`);
+    }
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        process.exit(2);
+    }
+
+    const outDir = values.out || path.join('exports', timestamp());
+    const result = await exportModel(values.model, values.data, {
+        outDir,
+        dtypes: [...new Set(dtypes)],
+        shardBytes,
+        batchSize: Number(values['batch-size'])
+    });
+    fs.writeFileSync(path.join(outDir, 'comparison.json'), JSON.stringify(result, null, 2));
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(formatComparison(result));
+        console.log(`\nModels written to ${outDir}`);
+    }
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error during export:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { DTYPES, writeVariant, exportModel, formatComparison };
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createCanvas } = require('canvas');
+
+const { createRandom, uniform } = require('./random');
+
+// Size of the images in data/ that the style parameters below are tuned for
+const REFERENCE_SIZE = 200;
+
+/**
+ * Smooth random wobble: a sum of a few sines with random frequencies and phases.
+ * Returns f(t) for t in [0, 1] with values roughly in [-1, 1].
+ * @param {Function} random - Random number generator
+ * @param {number} [waves] - Number of sine components
+ * @returns {Function} Wobble function
+ */
+const createWobble = (random, waves = 3) => {
+    const components = Array.from({ length: waves }, (_, i) => ({
+        frequency: uniform(random, 1, 2 + i * 2),
+        phase: random() * Math.PI * 2,
+        amplitude: 1 / (i + 1)
+    }));
+    const total = components.reduce((sum, c) => sum + c.amplitude, 0);
+    return (t) => components.reduce((sum, c) =>
+        sum + c.amplitude * Math.sin(c.frequency * t * Math.PI * 2 + c.phase), 0) / total;
+};
+
+/**
+ * Points along a hand-drawn circle (or slightly elliptic loop). The stroke starts
+ * at a random angle and sweeps between 85% and 110% of a full turn, so it is left
+ * open or overlaps itself; the radius drifts while drawing.
+ * @param {Function} random - Random number generator
+ * @param {Object} style - { jitter } amount of radius wobble relative to the radius
+ * @returns {number[][]} [x, y] points in unit coordinates around the origin (radius ~1)
+ */
+const circlePoints = (random, { jitter }) => {
+    const start = random() * Math.PI * 2;
+    const sweep = Math.PI * 2 * uniform(random, 0.85, 1.1);
+    const aspect = uniform(random, 0.8, 1.2);
+    const drift = uniform(random, -0.12, 0.12);
+    const wobble = createWobble(random);
+    const steps = 80;
+
+    return Array.from({ length: steps + 1 }, (_, i) => {
+        const t = i / steps;
+        const angle = start + sweep * t;
+        const radius = 1 + drift * t + jitter * wobble(t);
+        return [Math.cos(angle) * radius * aspect, Math.sin(angle) * radius / aspect];
+    });
+};
+
+/**
+ * Points along a hand-drawn triangle drawn in one stroke. Corners are placed
+ * around the origin with irregular angles; each side bows a little and the last
+ * side stops short of or overshoots the starting corner.
+ * @param {Function} random - Random number generator
+ * @param {Object} style - { jitter } amount of side wobble relative to the size
+ * @returns {number[][]} [x, y] points in unit coordinates around the origin (radius ~1)
+ */
+const trianglePoints = (random, { jitter }) => {
+    const start = random() * Math.PI * 2;
+    const corners = [0, 1, 2].map(i => {
+        const angle = start + i * (Math.PI * 2 / 3) + uniform(random, -0.35, 0.35);
+        const radius = uniform(random, 0.85, 1.1);
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    });
+    const closing = uniform(random, 0.85, 1.12);
+    const stepsPerSide = 25;
+    const points = [];
+
+    corners.forEach((from, side) => {
+        const to = corners[(side + 1) % 3];
+        const length = side === 2 ? closing : 1;
+        const bow = jitter * uniform(random, -1, 1);
+        const wobble = createWobble(random, 2);
+        // Unit normal of the side, used to bend it
+        const dx = to[0] - from[0];
+        const dy = to[1] - from[1];
+        const norm = Math.hypot(dx, dy) || 1;
+        const [nx, ny] = [-dy / norm, dx / norm];
+
+        for (let i = side === 0 ? 0 : 1; i <= stepsPerSide; i++) {
+            const t = (i / stepsPerSide) * length;
+            const offset = bow * Math.sin(Math.PI * Math.min(t, 1)) + jitter * 0.3 * wobble(t);
+            points.push([from[0] + dx * t + nx * offset, from[1] + dy * t + ny * offset]);
+        }
+    });
+
+    return points;
+};
+
+/**
+ * Shape generators by class name: (random, style) => points of a single stroke
+ * in unit coordinates. Add an entry here to generate a new class.
+ */
+const SHAPES = {
+    circle: circlePoints,
+    triangle: trianglePoints
+};
+
+/**
+ * Paints a light paper-like background: a near-white tone, an optional faint
+ * gradient and a sprinkle of grey specks
+ */
+const paintBackground = (ctx, size, random) => {
+    const tone = Math.round(uniform(random, 225, 256));
+    ctx.fillStyle = `rgb(${tone}, ${tone}, ${tone})`;
+    ctx.fillRect(0, 0, size, size);
+
+    if (random() < 0.4) {
+        const gradient = ctx.createLinearGradient(0, 0, random() * size, size);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+        gradient.addColorStop(1, `rgba(200, 200, 200, ${uniform(random, 0.1, 0.3).toFixed(2)})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+    }
+
+    const specks = Math.floor(random() * size * size * 0.002);
+    for (let i = 0; i < specks; i++) {
+        const shade = Math.round(uniform(random, 120, 220));
+        ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+        ctx.fillRect(random() * size, random() * size, 1, 1);
+    }
+};
+
+/**
+ * Strokes a polyline through the given points, smoothed with quadratic curves
+ */
+const strokePath = (ctx, points) => {
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length - 1; i++) {
+        const midX = (points[i][0] + points[i + 1][0]) / 2;
+        const midY = (points[i][1] + points[i + 1][1]) / 2;
+        ctx.quadraticCurveTo(points[i][0], points[i][1], midX, midY);
+    }
+    const last = points[points.length - 1];
+    ctx.lineTo(last[0], last[1]);
+    ctx.stroke();
+};
+
+/**
+ * Renders one hand-drawn shape
+ * @param {string} className - Key of SHAPES
+ * @param {Object} options - { size, random }
+ * @returns {Buffer} PNG image
+ */
+const renderShape = (className, { size, random }) => {
+    const shape = SHAPES[className];
+    if (!shape) {
+        throw new Error(`No generator for class "${className}" (available: ${Object.keys(SHAPES).join(', ')})`);
+    }
+
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    paintBackground(ctx, size, random);
+
+    const scale = size / REFERENCE_SIZE;
+    const radius = uniform(random, 0.18, 0.32) * size;
+    // Keep the shape (plus wobble) inside the image
+    const margin = radius * 1.35 + 4 * scale;
+    const centerX = uniform(random, margin, size - margin);
+    const centerY = uniform(random, margin, size - margin);
+    const rotation = random() * Math.PI * 2;
+    const style = { jitter: uniform(random, 0.01, 0.08) };
+
+    const points = shape(random, style).map(([x, y]) => {
+        const rx = x * Math.cos(rotation) - y * Math.sin(rotation);
+        const ry = x * Math.sin(rotation) + y * Math.cos(rotation);
+        // Per-point hand tremor in pixels
+        return [
+            centerX + rx * radius + uniform(random, -0.6, 0.6) * scale,
+            centerY + ry * radius + uniform(random, -0.6, 0.6) * scale
+        ];
+    });
+
+    const ink = Math.round(uniform(random, 0, 60));
+    ctx.strokeStyle = `rgb(${ink}, ${ink}, ${ink})`;
+    ctx.lineWidth = uniform(random, 1.5, 7) * scale;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    strokePath(ctx, points);
+
+    return canvas.toBuffer('image/png');
+};
+
+/**
+ * Generates a labeled dataset in the "<n>-<class>.png" filename convention
+ * @param {Object} options - Generation options
+ * @param {string} options.outDir - Output directory (created if missing)
+ * @param {number} options.count - Images per class
+ * @param {string[]} [options.classes] - Classes to generate (keys of SHAPES)
+ * @param {number} [options.size] - Image width and height in pixels
+ * @param {number} [options.seed] - Random seed; the same seed yields the same images
+ * @param {number} [options.startIndex] - First file number, to add to an existing directory
+ * @returns {string[]} Paths of the written files
+ */
+const generateDataset = ({
+    outDir,
+    count,
+    classes = Object.keys(SHAPES),
+    size = REFERENCE_SIZE,
+    seed = 0,
+    startIndex = 0
+}) => {
+    const unknown = classes.filter(className => !SHAPES[className]);
+    if (unknown.length > 0) {
+        throw new Error(`No generator for ${unknown.join(', ')} (available: ${Object.keys(SHAPES).join(', ')})`);
+    }
+
+    const random = createRandom(seed);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const written = [];
+    let index = startIndex;
+    // Interleave classes so a partial run is still balanced
+    for (let i = 0; i < count; i++) {
+        classes.forEach(className => {
+            const filePath = path.join(outDir, `${index}-${className}.png`);
+            fs.writeFileSync(filePath, renderShape(className, { size, random }));
+            written.push(filePath);
+            index++;
+        });
+    }
+    return written;
+};
+
+const usage = () => `Usage: node generateData.js --out <dir> [options]
+
+Renders synthetic hand-drawn shapes as <n>-<class>.png for training.
+
+Options:
+  --out <dir>          Output directory (required)
+  --count <n>          Images per class (default 100)
+  --classes <list>     Comma-separated classes (default ${Object.keys(SHAPES).join(',')})
+  --size <px>          Image width and height (default ${REFERENCE_SIZE})
+  --seed <n>           Random seed (default 0)
+  --start-index <n>    First file number, to append to an existing directory (default 0)
+  -h, --help           Show this help`;
+
+const main = () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                out: { type: 'string' },
+                count: { type: 'string', default: '100' },
+                classes: { type: 'string', default: Object.keys(SHAPES).join(',') },
+                size: { type: 'string', default: String(REFERENCE_SIZE) },
+                seed: { type: 'string', default: '0' },
+                'start-index': { type: 'string', default: '0' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+    if (!values.out) {
+        console.error('--out is required');
+        console.error(usage());
+        process.exit(2);
+    }
+
+    const options = {
+        outDir: values.out,
+        count: Number(values.count),
+        classes: values.classes.split(',').map(name => name.trim()).filter(Boolean),
+        size: Number(values.size),
+        seed: Number(values.seed),
+        startIndex: Number(values['start-index'])
+    };
+    ['count', 'size', 'seed', 'startIndex'].forEach(key => {
+        if (!Number.isInteger(options[key]) || options[key] < 0) {
+            console.error(`Invalid ${key}: expected a non-negative integer`);
+            process.exit(2);
+        }
+    });
+
+    const written = generateDataset(options);
+    console.log(`Wrote ${written.length} images (${options.count} per class: ${options.classes.join(', ')}) to ${options.outDir}`);
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { SHAPES, renderShape, generateDataset };
@@ -1,65 +1,174 @@
 const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs');
 const path = require('path');
-const sharp = require('sharp');
+const crypto = require('crypto');
+
+const { preprocessImage } = require('./preprocess');
+const { IMAGE_PATTERN } = require('./inputFiles');
 
 const trainImagesDir = "./data/train"
 const testImagesDir = "./data/test"
 
-let trainData, testData;
+const MANIFEST_FILE = 'labels.json';
 
-const loadImages = async (dataDir) => {
-    const images = [];
-    const labels = [];
+let trainData, testData, classNames;
 
-    let files = fs.readdirSync(dataDir);
-    for (let i = 0; i < files.length; i++) {
-        let filePath = path.join(dataDir, files[i]);
-
-        // Read and process image using sharp
-        const pixels = await sharp(filePath)
-            .resize(28, 28)
-            .raw()
-            .toBuffer();
-
-        // Convert to float32 array and normalize to [0,1]
-        const float32Data = new Float32Array(pixels.length);
-        for (let j = 0; j < pixels.length; j++) {
-            float32Data[j] = pixels[j] / 255.0;
+/**
+ * Reads the optional labels.json manifest of a data directory
+ * @param {string} dataDir - Directory that may contain a manifest
+ * @returns {Object|null} Parsed manifest ({ classes?, files? }) or null
+ */
+const readManifest = (dataDir) => {
+    const manifestPath = path.join(dataDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Derives the class name from a "<n>-<class>.png" style filename
+ * @param {string} file - Image filename
+ * @returns {string|null} Class name or null if the name carries no label
+ */
+const classFromFilename = (file) => {
+    const base = path.basename(file, path.extname(file)).toLowerCase();
+    const match = base.match(/^\d+[-_](.+)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Lists the labeled images of a data directory. Labels are taken from a
+ * labels.json manifest ({ "files": { "<relative path>": "<class>" } }) when
+ * present, otherwise from a directory-per-class layout (<dataDir>/<class>/*.png),
+ * otherwise from the "<n>-<class>.png" filename convention.
+ * @param {string} dataDir - Directory containing the images
+ * @returns {Array<{filePath: string, className: string}>} Labeled files
+ */
+const listLabeledFiles = (dataDir) => {
+    const manifest = readManifest(dataDir);
+    if (manifest && manifest.files) {
+        return Object.entries(manifest.files).map(([file, className]) => ({
+            filePath: path.join(dataDir, file),
+            className
+        }));
+    }
+
+    const entries = fs.readdirSync(dataDir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const files = [];
+
+    for (const entry of entries) {
+        if (entry.isDirectory()) {
+            const classDir = path.join(dataDir, entry.name);
+            fs.readdirSync(classDir)
+                .filter(file => IMAGE_PATTERN.test(file))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .forEach(file => files.push({
+                    filePath: path.join(classDir, file),
+                    className: entry.name
+                }));
+        } else if (IMAGE_PATTERN.test(entry.name)) {
+            const className = classFromFilename(entry.name);
+            if (className) {
+                files.push({ filePath: path.join(dataDir, entry.name), className });
+            } else {
+                console.warn(`Skipping ${entry.name}: no class in filename`);
+            }
         }
+    }
+
+    return files;
+}
 
-        // Create tensor and reshape to [28, 28, 3]
-        const imageTensor = tf.tensor(float32Data).reshape([28, 28, 4]).slice([0, 0, 0], [28, 28, 3]);
-        images.push(imageTensor);
+/**
+ * Discovers the class names of a data directory. An explicit "classes" array
+ * in labels.json fixes the order; otherwise classes are sorted alphabetically.
+ * @param {string} dataDir - Directory containing the images
+ * @returns {string[]} Class names, index = label
+ */
+const discoverClasses = (dataDir) => {
+    const manifest = readManifest(dataDir);
+    if (manifest && Array.isArray(manifest.classes)) {
+        return manifest.classes;
+    }
+    const found = new Set(listLabeledFiles(dataDir).map(f => f.className));
+    return [...found].sort();
+}
+
+/**
+ * Decodes an image file into a normalized [28, 28, 3] tensor using the
+ * preprocessing shared with prediction and the browser (public/preprocess.mjs)
+ * @param {string} filePath - Path to the image file
+ * @returns {Promise<tf.Tensor3D>} Image tensor with values in [0, 1]
+ */
+const decodeImage = async (filePath) => {
+    const pixels = await preprocessImage(filePath);
+    return tf.tensor3d(pixels, [28, 28, 3]);
+}
 
-        // Process labels
-        const circle = files[i].toLowerCase().includes('circle');
-        const triangle = files[i].toLowerCase().includes('triangle');
+/**
+ * Hashes the labels and contents of a set of labeled files, so two models can
+ * be checked for having been trained on the same data
+ * @param {Array<{filePath: string, className: string}>} files - Labeled files
+ * @param {string} baseDir - Paths are hashed relative to this directory
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashDataset = (files, baseDir) => {
+    const hash = crypto.createHash('sha256');
+    files
+        .map(({ filePath, className }) => ({ relative: path.relative(baseDir, filePath), filePath, className }))
+        .sort((a, b) => a.relative.localeCompare(b.relative))
+        .forEach(({ relative, filePath, className }) => {
+            hash.update(`${relative}\0${className}\0`);
+            hash.update(fs.readFileSync(filePath));
+        });
+    return hash.digest('hex');
+}
+
+const loadImages = async (dataDir, classes) => {
+    const images = [];
+    const labels = [];
 
-        if (circle) {
-            labels.push(0);
-        } else if (triangle) {
-            labels.push(1);
+    const files = listLabeledFiles(dataDir);
+    for (let i = 0; i < files.length; i++) {
+        const { filePath, className } = files[i];
+
+        const label = classes.indexOf(className);
+        if (label === -1) {
+            throw new Error(`Unknown class "${className}" for ${filePath}. Known classes: ${classes.join(', ')}`);
         }
+
+        images.push(await decodeImage(filePath));
+        labels.push(label);
     }
 
     return [images, labels];
 }
 
-const loadData = async () => {
+const loadData = async ({ trainDir = trainImagesDir, testDir = testImagesDir } = {}) => {
     console.log("Loading images...");
-    trainData = await loadImages(trainImagesDir);
-    testData = await loadImages(testImagesDir);
+    classNames = discoverClasses(trainDir);
+    console.log(`Classes: ${classNames.join(', ')}`);
+    trainData = await loadImages(trainDir, classNames);
+    testData = await loadImages(testDir, classNames);
     console.log("Images loaded successfully");
 }
 
+const getClassNames = () => {
+    if (!classNames) {
+        throw new Error("Class names not loaded. Call loadData() first.");
+    }
+    return classNames;
+}
+
 const getTrainData = () => {
     if (!trainData) {
         throw new Error("Training data not loaded. Call loadData() first.");
     }
     return {
         images: tf.stack(trainData[0]),
-        labels: tf.oneHot(tf.tensor1d(trainData[1], 'int32'), 2)
+        labels: tf.oneHot(tf.tensor1d(trainData[1], 'int32'), classNames.length)
     };
 }
 
@@ -69,9 +178,18 @@ const getTestData = () => {
     }
     return {
         images: tf.stack(testData[0]),
-        labels: tf.oneHot(tf.tensor1d(testData[1], 'int32'), 2)
+        labels: tf.oneHot(tf.tensor1d(testData[1], 'int32'), classNames.length)
     };
 }
 
-module.exports = { getTrainData, getTestData, loadData };
-
+module.exports = {
+    IMAGE_PATTERN,
+    getTrainData,
+    getTestData,
+    getClassNames,
+    loadData,
+    decodeImage,
+    discoverClasses,
+    listLabeledFiles,
+    hashDataset
+};
@@ -0,0 +1,31 @@
+/**
+ * Library entry point. Requiring the package only defines functions: nothing
+ * is loaded, trained or printed until one of them is called.
+ *
+ *   const { createDetector } = require('image-detector-tf');
+ *   const detector = await createDetector({ modelPath: 'model' });
+ *   const { prediction, confidence } = await detector.predict('drawing.png');
+ *   detector.dispose();
+ */
+const { createDetector } = require('./detector');
+const { buildModel, createOptimizer } = require('./createModel');
+const { trainModel } = require('./trainDrawings');
+const { DEFAULT_CONFIG, createConfig, loadConfigFile } = require('./config');
+const { evaluateModel } = require('./evaluate');
+const { preprocessImage, getPreprocessing } = require('./preprocess');
+const { listLabeledFiles, discoverClasses } = require('./getData');
+
+module.exports = {
+    createDetector,
+    buildModel,
+    createOptimizer,
+    trainModel,
+    DEFAULT_CONFIG,
+    createConfig,
+    loadConfigFile,
+    evaluateModel,
+    preprocessImage,
+    getPreprocessing,
+    listLabeledFiles,
+    discoverClasses
+};
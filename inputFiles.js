@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+// Image files the tools read; getData.js uses the same pattern for datasets
+const IMAGE_PATTERN = /\.(png|jpe?g)$/i;
+
+const hasGlob = (pattern) => /[*?{]/.test(pattern);
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a glob to a regular expression over "/"-separated paths.
+ * Supports * (within a segment), ** (any number of segments), ? and {a,b}.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored expression
+ */
+const globToRegExp = (pattern) => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            i++;
+            if (pattern[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && pattern.indexOf('}', i) > i) {
+            const end = pattern.indexOf('}', i);
+            source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists the files in a directory
+ * @param {string} dir - Directory
+ * @param {boolean} recursive - Descend into subdirectories
+ * @returns {string[]} File paths
+ */
+const walk = (dir, recursive) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+        return recursive ? walk(entryPath, true) : [];
+    }
+    return entry.isFile() ? [entryPath] : [];
+});
+
+// Files matching a glob, searched from its longest literal directory prefix
+const expandGlob = (pattern) => {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlob = segments.findIndex(hasGlob);
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    if (!fs.existsSync(base)) {
+        return [];
+    }
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+    return walk(base, true).filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+};
+
+/**
+ * Resolves command line inputs to image files. Each input is a file, a
+ * directory (its images; with recursive also those of subdirectories) or a glob.
+ * @param {string[]} inputs - Files, directories and globs
+ * @param {Object} [options] - { recursive }
+ * @returns {string[]} Image paths in natural order, without duplicates
+ * @throws {Error} With code 'ENOINPUT' when an input matches nothing
+ */
+const expandInputs = (inputs, { recursive = false } = {}) => {
+    const files = inputs.flatMap(input => {
+        let matches;
+        if (fs.existsSync(input)) {
+            matches = fs.statSync(input).isDirectory()
+                ? walk(input, recursive).filter(file => IMAGE_PATTERN.test(file))
+                : [input];
+        } else if (hasGlob(input)) {
+            matches = expandGlob(input).filter(file => IMAGE_PATTERN.test(file));
+        } else {
+            matches = [];
+        }
+        if (matches.length === 0) {
+            const error = new Error(fs.existsSync(input) ? `No images in ${input}` : `No such file or directory: ${input}`);
+            error.code = 'ENOINPUT';
+            throw error;
+        }
+        return matches;
+    });
+
+    const collator = new Intl.Collator(undefined, { numeric: true });
+    return [...new Set(files.map(file => path.normalize(file)))].sort(collator.compare);
+};
+
+module.exports = { IMAGE_PATTERN, expandInputs, globToRegExp };
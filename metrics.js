@@ -0,0 +1,205 @@
+/**
+ * Evaluation metrics over predicted class probabilities. All functions take
+ * plain arrays: labels as class indices, probabilities as one array per sample.
+ */
+
+const argMax = (values) => values.reduce((best, value, i) => value > values[best] ? i : best, 0);
+
+/**
+ * Builds a confusion matrix
+ * @param {number[]} labels - True class per sample
+ * @param {number[]} predictions - Predicted class per sample
+ * @param {number} numClasses - Number of classes
+ * @returns {number[][]} matrix[actual][predicted] = count
+ */
+const confusionMatrix = (labels, predictions, numClasses) => {
+    const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    labels.forEach((label, i) => {
+        matrix[label][predictions[i]]++;
+    });
+    return matrix;
+};
+
+// Division that yields 0 instead of NaN for empty classes
+const safeDivide = (a, b) => b === 0 ? 0 : a / b;
+
+/**
+ * Computes per-class precision, recall and F1 from a confusion matrix
+ * @param {number[][]} matrix - Confusion matrix
+ * @param {string[]} classNames - Class names
+ * @returns {{perClass: Array, macro: Object, accuracy: number}} Metrics
+ */
+const classificationMetrics = (matrix, classNames) => {
+    const total = matrix.flat().reduce((a, b) => a + b, 0);
+    const correct = matrix.reduce((sum, row, i) => sum + row[i], 0);
+
+    const perClass = classNames.map((className, i) => {
+        const truePositives = matrix[i][i];
+        const support = matrix[i].reduce((a, b) => a + b, 0);
+        const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+        const precision = safeDivide(truePositives, predicted);
+        const recall = safeDivide(truePositives, support);
+        return {
+            className,
+            precision,
+            recall,
+            f1: safeDivide(2 * precision * recall, precision + recall),
+            support
+        };
+    });
+
+    const macro = {};
+    ['precision', 'recall', 'f1'].forEach(metric => {
+        macro[metric] = safeDivide(perClass.reduce((sum, c) => sum + c[metric], 0), perClass.length);
+    });
+
+    return { perClass, macro, accuracy: safeDivide(correct, total) };
+};
+
+/**
+ * Sorts samples by descending score and walks the thresholds, calling
+ * visit(truePositives, falsePositives, threshold) after each distinct score
+ */
+const sweepThresholds = (scores, positives, visit) => {
+    const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a]);
+    let truePositives = 0;
+    let falsePositives = 0;
+    order.forEach((index, i) => {
+        if (positives[index]) {
+            truePositives++;
+        } else {
+            falsePositives++;
+        }
+        if (i === order.length - 1 || scores[order[i + 1]] !== scores[index]) {
+            visit(truePositives, falsePositives, scores[index]);
+        }
+    });
+};
+
+/**
+ * One-vs-rest ROC curve
+ * @param {number[]} scores - Probability of the positive class per sample
+ * @param {boolean[]} positives - Whether each sample belongs to the positive class
+ * @returns {{points: Array<{fpr, tpr, threshold}>, auc: number|null}} Curve and its area
+ *   (auc is null when only one of the two groups is present)
+ */
+const rocCurve = (scores, positives) => {
+    const numPositive = positives.filter(Boolean).length;
+    const numNegative = positives.length - numPositive;
+    const points = [{ fpr: 0, tpr: 0, threshold: Infinity }];
+
+    sweepThresholds(scores, positives, (tp, fp, threshold) => {
+        points.push({ fpr: safeDivide(fp, numNegative), tpr: safeDivide(tp, numPositive), threshold });
+    });
+
+    let auc = 0;
+    for (let i = 1; i < points.length; i++) {
+        auc += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+    }
+
+    return { points, auc: numPositive === 0 || numNegative === 0 ? null : auc };
+};
+
+/**
+ * One-vs-rest precision-recall curve
+ * @param {number[]} scores - Probability of the positive class per sample
+ * @param {boolean[]} positives - Whether each sample belongs to the positive class
+ * @returns {{points: Array<{recall, precision, threshold}>, averagePrecision: number|null}}
+ *   Curve and its average precision (null without positive samples)
+ */
+const precisionRecallCurve = (scores, positives) => {
+    const numPositive = positives.filter(Boolean).length;
+    const points = [];
+    let averagePrecision = 0;
+    let previousRecall = 0;
+
+    sweepThresholds(scores, positives, (tp, fp, threshold) => {
+        const recall = safeDivide(tp, numPositive);
+        const precision = safeDivide(tp, tp + fp);
+        averagePrecision += (recall - previousRecall) * precision;
+        previousRecall = recall;
+        points.push({ recall, precision, threshold });
+    });
+
+    return { points, averagePrecision: numPositive === 0 ? null : averagePrecision };
+};
+
+/**
+ * Reliability diagram data: samples binned by top-class confidence
+ * @param {number[][]} probabilities - Class probabilities per sample
+ * @param {number[]} labels - True class per sample
+ * @param {number} [numBins] - Number of equal-width confidence bins
+ * @returns {{bins: Array<{lower, upper, count, confidence, accuracy}>, ece: number}}
+ *   Bins and the expected calibration error
+ */
+const reliability = (probabilities, labels, numBins = 10) => {
+    const bins = Array.from({ length: numBins }, (_, i) => ({
+        lower: i / numBins,
+        upper: (i + 1) / numBins,
+        count: 0,
+        confidence: 0,
+        accuracy: 0
+    }));
+
+    probabilities.forEach((probs, i) => {
+        const predicted = argMax(probs);
+        const confidence = probs[predicted];
+        const bin = bins[Math.min(numBins - 1, Math.floor(confidence * numBins))];
+        bin.count++;
+        bin.confidence += confidence;
+        bin.accuracy += predicted === labels[i] ? 1 : 0;
+    });
+
+    let ece = 0;
+    bins.forEach(bin => {
+        if (bin.count > 0) {
+            bin.confidence /= bin.count;
+            bin.accuracy /= bin.count;
+            ece += (bin.count / probabilities.length) * Math.abs(bin.accuracy - bin.confidence);
+        }
+    });
+
+    return { bins, ece };
+};
+
+/**
+ * Mean categorical cross-entropy
+ * @param {number[][]} probabilities - Class probabilities per sample
+ * @param {number[]} labels - True class per sample
+ * @returns {number} Log loss
+ */
+const logLoss = (probabilities, labels) => {
+    const epsilon = 1e-7;
+    const total = probabilities.reduce((sum, probs, i) =>
+        sum - Math.log(Math.min(1 - epsilon, Math.max(epsilon, probs[labels[i]]))), 0);
+    return safeDivide(total, probabilities.length);
+};
+
+/**
+ * Difference between the two highest probabilities
+ * @param {number[]} probs - Class probabilities of one sample
+ * @returns {number} Margin in [0, 1]; 1 for a single class
+ */
+const margin = (probs) => {
+    const [first, second = 0] = [...probs].sort((a, b) => b - a);
+    return first - second;
+};
+
+/**
+ * Shannon entropy of a probability distribution
+ * @param {number[]} probs - Class probabilities of one sample
+ * @returns {number} Entropy in nats, from 0 (certain) to ln(number of classes) (uniform)
+ */
+const entropy = (probs) => probs.reduce((sum, p) => p > 0 ? sum - p * Math.log(p) : sum, 0);
+
+module.exports = {
+    argMax,
+    margin,
+    entropy,
+    confusionMatrix,
+    classificationMetrics,
+    rocCurve,
+    precisionRecallCurve,
+    reliability,
+    logLoss
+};
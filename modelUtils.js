@@ -0,0 +1,67 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Resolves a model location to the absolute path of its model.json
+ * @param {string} modelPath - model.json file or the directory holding it
+ * @returns {string} Absolute path to model.json
+ */
+const resolveModelPath = (modelPath) => {
+    const resolved = path.resolve(modelPath);
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+        return path.join(resolved, 'model.json');
+    }
+    return resolved;
+};
+
+/**
+ * Loads a saved layers model
+ * @param {string} modelPath - model.json file or the directory holding it
+ * @returns {Promise<tf.LayersModel>} Loaded model
+ */
+const loadModelFrom = async (modelPath) => {
+    const modelJsonPath = resolveModelPath(modelPath);
+    if (!fs.existsSync(modelJsonPath)) {
+        throw new Error(`Model not found: ${modelJsonPath}`);
+    }
+    return tf.loadLayersModel(`file://${modelJsonPath}`);
+};
+
+/**
+ * Returns the class names stored in the model metadata. Models saved before
+ * class names were recorded fall back to the legacy shapeHints block, then to
+ * generic names derived from the output size.
+ * @param {tf.LayersModel} loadedModel - Model to read the metadata from
+ * @returns {string[]} Class names, index = predicted class
+ */
+const getClassNames = (loadedModel) => {
+    const metadata = loadedModel.getUserDefinedMetadata() || {};
+    if (Array.isArray(metadata.classNames)) {
+        return metadata.classNames;
+    }
+    if (metadata.shapeHints && Array.isArray(metadata.shapeHints.classNames)) {
+        return metadata.shapeHints.classNames;
+    }
+    const numClasses = loadedModel.outputs[0].shape[1];
+    return Array.from({ length: numClasses }, (_, i) => `class ${i}`);
+};
+
+/**
+ * Applies the calibration stored in the model metadata (see calibrate.js) to
+ * model outputs. Models without calibration return the outputs unchanged.
+ * @param {tf.LayersModel} loadedModel - Model the outputs came from
+ * @param {number[][]} probabilities - Softmax output per sample
+ * @returns {Promise<number[][]>} Calibrated probabilities per sample
+ */
+const calibrateProbabilities = async (loadedModel, probabilities) => {
+    const { calibration } = loadedModel.getUserDefinedMetadata() || {};
+    if (!calibration) {
+        return probabilities;
+    }
+    // Shared with the browser, which is why it is an ES module
+    const { applyCalibration } = await import('./public/calibration.mjs');
+    return probabilities.map(probs => applyCalibration(probs, calibration));
+};
+
+module.exports = { resolveModelPath, loadModelFrom, getClassNames, calibrateProbabilities };
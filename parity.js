@@ -0,0 +1,196 @@
+const { parseArgs } = require('util');
+
+const { expandInputs } = require('./inputFiles');
+const { loadShared, decodeRgba } = require('./preprocess');
+
+const DEFAULT_INPUT = 'data/test';
+// Largest allowed difference, in 8-bit intensity levels
+const DEFAULT_TOLERANCE = 0.5;
+
+/**
+ * Ways an image reaches the shared preprocessing. Each decodes a file to RGBA
+ * pixels; the first one is the reference the others are compared against.
+ *  - sharp: training and Node prediction
+ *  - canvas: the browser app, which reads pixels back from a canvas
+ *    (emulated with node-canvas, which decodes through cairo like a browser would)
+ */
+const DECODERS = {
+    sharp: decodeRgba,
+    canvas: async (filePath) => {
+        const { createCanvas, loadImage } = require('canvas');
+        const image = await loadImage(filePath);
+        const canvas = createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return ctx.getImageData(0, 0, image.width, image.height);
+    }
+};
+
+/**
+ * Compares two model inputs value by value
+ * @param {Float32Array} reference - Input from the reference path
+ * @param {Float32Array} other - Input from another path
+ * @param {number} tolerance - Allowed difference in 8-bit levels
+ * @returns {Object} { maxDiff, meanDiff, differing } with differences in 8-bit levels
+ */
+const compareInputs = (reference, other, tolerance) => {
+    if (reference.length !== other.length) {
+        throw new Error(`Input sizes differ: ${reference.length} vs ${other.length} values`);
+    }
+    let maxDiff = 0;
+    let total = 0;
+    let differing = 0;
+    for (let i = 0; i < reference.length; i++) {
+        const diff = Math.abs(reference[i] - other[i]) * 255;
+        maxDiff = Math.max(maxDiff, diff);
+        total += diff;
+        if (diff > tolerance) {
+            differing++;
+        }
+    }
+    return { maxDiff, meanDiff: total / reference.length, differing };
+};
+
+/**
+ * Runs every image through each decoder and the shared preprocessing, and
+ * reports how far each path's model input is from the reference path's
+ * @param {string[]} files - Image paths
+ * @param {Object} [options] - { decoders: names of DECODERS, first is the reference; tolerance }
+ * @returns {Promise<Object[]>} Per image and path: { file, path, maxDiff, meanDiff, differing, values } or { file, path, error }
+ */
+const checkParity = async (files, { decoders = Object.keys(DECODERS), tolerance = DEFAULT_TOLERANCE } = {}) => {
+    const { preprocessPixels } = await loadShared();
+    const [reference, ...others] = decoders;
+    const rows = [];
+
+    for (const file of files) {
+        let expected;
+        try {
+            expected = preprocessPixels(await DECODERS[reference](file));
+        } catch (error) {
+            rows.push({ file, path: reference, error: error.message });
+            continue;
+        }
+        for (const name of others) {
+            try {
+                const actual = preprocessPixels(await DECODERS[name](file));
+                rows.push({ file, path: `${reference} vs ${name}`, ...compareInputs(expected, actual, tolerance), values: expected.length });
+            } catch (error) {
+                rows.push({ file, path: `${reference} vs ${name}`, error: error.message });
+            }
+        }
+    }
+    return rows;
+};
+
+const formatTable = (rows) => {
+    const header = ['file', 'paths', 'max diff', 'mean diff', 'differing'];
+    const lines = rows.map(row => row.error
+        ? [row.file, row.path, `error: ${row.error}`, '', '']
+        : [row.file, row.path, row.maxDiff.toFixed(3), row.meanDiff.toFixed(4), `${row.differing}/${row.values}`]);
+    const widths = header.map((title, i) => Math.max(title.length, ...lines.filter(line => line[3] !== '').map(line => line[i].length)));
+    return [header, ...lines]
+        .map(line => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n') + '\n';
+};
+
+const usage = () => `Usage: node parity.js [options] [images...]
+
+Checks that every preprocessing path produces the same model input for the
+same image. Each image is decoded by each path (${Object.keys(DECODERS).join(', ')}) and
+run through the shared preprocessing in public/preprocess.mjs; differences are
+reported in 8-bit intensity levels. Inputs are files, directories or globs
+(default ${DEFAULT_INPUT}).
+
+Options:
+  --paths <list>       Comma-separated paths to compare, the first is the reference (default ${Object.keys(DECODERS).join(',')})
+  --tolerance <n>      Largest allowed difference in intensity levels (default ${DEFAULT_TOLERANCE})
+  --format <name>      Output format: table or json (default table)
+  -r, --recursive      Also read images in subdirectories
+  -h, --help           Show this help
+
+Exit codes: 0 all paths agree within the tolerance, 1 differences or errors, 2 bad arguments`;
+
+/**
+ * Runs the command line interface
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @returns {Promise<number>} Process exit code
+ */
+const main = async (argv) => {
+    let values, positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                paths: { type: 'string', default: Object.keys(DECODERS).join(',') },
+                tolerance: { type: 'string', default: String(DEFAULT_TOLERANCE) },
+                format: { type: 'string', default: 'table' },
+                recursive: { type: 'boolean', short: 'r' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        return 2;
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return 0;
+    }
+
+    const decoders = values.paths.split(',').map(name => name.trim()).filter(Boolean);
+    const tolerance = Number(values.tolerance);
+    const problems = [];
+    const unknown = decoders.filter(name => !DECODERS[name]);
+    if (unknown.length > 0) {
+        problems.push(`Unknown path ${unknown.join(', ')} (available: ${Object.keys(DECODERS).join(', ')})`);
+    } else if (decoders.length < 2) {
+        problems.push('--paths needs at least two paths to compare');
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+        problems.push('Invalid tolerance: expected a non-negative number');
+    }
+    if (!['table', 'json'].includes(values.format)) {
+        problems.push(`Unknown format "${values.format}" (expected table or json)`);
+    }
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        return 2;
+    }
+
+    let files;
+    try {
+        files = expandInputs(positionals.length > 0 ? positionals : [DEFAULT_INPUT], { recursive: values.recursive });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+
+    const rows = await checkParity(files, { decoders, tolerance });
+    process.stdout.write(values.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : formatTable(rows));
+
+    const failed = rows.filter(row => row.error || row.maxDiff > tolerance);
+    const compared = rows.filter(row => !row.error);
+    const worst = Math.max(0, ...compared.map(row => row.maxDiff));
+    console.error(`${files.length} images, ${compared.length} comparisons, largest difference ${worst.toFixed(3)} levels (tolerance ${tolerance})`);
+    if (failed.length > 0) {
+        console.error(`${failed.length} comparisons differ beyond the tolerance or failed`);
+        return 1;
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { DECODERS, compareInputs, checkParity, main };
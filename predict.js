@@ -1,185 +1,895 @@
 const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs');
 const path = require('path');
-const { createCanvas, loadImage } = require('canvas');
+const { parseArgs } = require('util');
 
-// Debug utility for Node.js
+const { loadModelFrom, resolveModelPath, getClassNames, calibrateProbabilities } = require('./modelUtils');
+const { expandInputs } = require('./inputFiles');
+const { margin, entropy } = require('./metrics');
+const { preprocessImage, decodeRgba, loadShared } = require('./preprocess');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, 'model');
+const FORMATS = ['json', 'jsonl', 'csv', 'table'];
+
+// Ways to use the computer vision detector next to the model (see withCvResult)
+const CV_MODES = ['compare', 'fallback'];
+
+// Detector options written by tuneDetector.js, used by --cv when present
+const DEFAULT_CV_OPTIONS_PATH = path.join(__dirname, 'public', 'shapeDetection.json');
+
+// Reported instead of a class when the top probability is below the decision threshold
+const UNCERTAIN = 'uncertain';
+
+// Results log of --watch when --out is not given
+const DEFAULT_WATCH_LOG = 'predictions.jsonl';
+
+// Process exit codes of the command line interface
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    // Bad arguments or inputs that match no images
+    badInput: 2,
+    modelLoad: 3,
+    // Some images could not be classified; the others are still reported
+    predictionFailed: 4
+};
+
+// Debug utility for Node.js; writes to stderr so stdout only carries results
 const debug = {
+    enabled: false,
     log: (message, data = null) => {
+        if (!debug.enabled) {
+            return;
+        }
         const timestamp = new Date().toISOString();
         const logEntry = `[${timestamp}] ${message}${data ? '\n' + JSON.stringify(data, null, 2) : ''}`;
-        console.log(logEntry);
+        console.error(logEntry);
     }
 };
 
-let model;
+// Loaded models by resolved model.json path
+const models = new Map();
 
 /**
- * Loads the TensorFlow.js model
- * @returns {Promise<void>}
+ * Loads a TensorFlow.js model, reusing it on later calls
+ * @param {string} [modelPath] - model.json or its directory (default model/)
+ * @returns {Promise<tf.LayersModel>} Loaded model
+ * @throws {Error} With code 'EMODELLOAD' if the model cannot be loaded
  */
-const loadModel = async () => {
-    if (!model) {
+const loadModel = async (modelPath = DEFAULT_MODEL_PATH) => {
+    const modelJsonPath = resolveModelPath(modelPath);
+    if (!models.has(modelJsonPath)) {
         try {
-            debug.log("Starting model load...");
-            const modelPath = path.join(__dirname, 'model', 'model.json');
-            model = await tf.loadLayersModel(`file://${modelPath}`);
+            debug.log(`Starting model load: ${modelJsonPath}`);
+            models.set(modelJsonPath, await loadModelFrom(modelJsonPath));
             debug.log("Model loaded successfully");
         } catch (error) {
-            debug.log("Error loading model:", error);
-            throw new Error("Failed to load model. Please check if model files exist.");
+            debug.log("Error loading model:", error.message);
+            const loadError = new Error(`Failed to load model from ${modelJsonPath}: ${error.message}`);
+            loadError.code = 'EMODELLOAD';
+            throw loadError;
         }
     }
+    return models.get(modelJsonPath);
+};
+
+/**
+ * Loads a model again from disk and swaps it in for later calls. If loading
+ * fails, the previously loaded model stays in use.
+ * @param {string} [modelPath] - model.json or its directory (default model/)
+ * @returns {Promise<tf.LayersModel>} Newly loaded model
+ * @throws {Error} With code 'EMODELLOAD' if the model cannot be loaded
+ */
+const reloadModel = async (modelPath = DEFAULT_MODEL_PATH) => {
+    const modelJsonPath = resolveModelPath(modelPath);
+    let model;
+    try {
+        model = await loadModelFrom(modelJsonPath);
+    } catch (error) {
+        const loadError = new Error(`Failed to reload model from ${modelJsonPath}: ${error.message}`);
+        loadError.code = 'EMODELLOAD';
+        throw loadError;
+    }
+
+    const previous = models.get(modelJsonPath);
+    models.set(modelJsonPath, model);
+    if (previous && previous !== model) {
+        setImmediate(() => previous.dispose());
+    }
     return model;
 };
 
 /**
- * Processes an image file and returns a tensor ready for prediction
- * @param {string} imagePath - Path to the image file
+ * Processes an image and returns a tensor ready for prediction. Tensors are
+ * taken to be preprocessed already and are only given a batch dimension; the
+ * caller keeps ownership of them.
+ * @param {string|Buffer|tf.Tensor} input - Path to the image file, the encoded PNG/JPEG
+ *   bytes, or a [28, 28, 3] or [1, 28, 28, 3] tensor with values in [0, 1]
  * @returns {Promise<tf.Tensor>} Processed image tensor
  */
-const processImage = async (imagePath) => {
+const processImage = async (input) => {
+    if (input instanceof tf.Tensor) {
+        const shape = input.shape.length === 4 && input.shape[0] === 1 ? input.shape.slice(1) : input.shape;
+        if (shape.join() !== '28,28,3') {
+            throw new Error(`Failed to process image: expected a tensor of shape [28, 28, 3] or [1, 28, 28, 3], got [${input.shape.join(', ')}]`);
+        }
+        return tf.tidy(() => input.toFloat().reshape([1, 28, 28, 3]));
+    }
+
     try {
         debug.log("Starting image processing");
 
-        // Load image using node-canvas
-        const image = await loadImage(imagePath);
-        const canvas = createCanvas(image.width, image.height);
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(image, 0, 0);
+        // Same decoding and preprocessing as training and the browser
+        const pixels = await preprocessImage(input);
+        debug.log("Image preprocessed");
 
-        // Get image data
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const processedImg = tf.browser.fromPixels(imageData, 4);
-        debug.log("Image converted to tensor");
+        return tf.tensor4d(pixels, [1, 28, 28, 3]);
+    } catch (error) {
+        debug.log("Error processing image:", error.message);
+        throw new Error(`Failed to process image: ${error.message}`);
+    }
+};
+
+/**
+ * Turns a model output into a prediction result
+ * @param {number[]} probabilities - Class probabilities, index = class
+ * @param {string[]} classNames - Class names
+ * @param {Object} [options] - Decision options
+ * @param {number} [options.topK] - Number of ranked classes in `top`
+ * @param {number} [options.threshold] - Minimum top probability for a class to be predicted;
+ *   below it the prediction is "uncertain"
+ * @returns {Object} { prediction, confidence, uncertain, margin, entropy, probabilities, top }:
+ *   confidence is the top probability, margin its lead over the runner-up, entropy is in nats
+ *   and probabilities maps every class name to its probability
+ */
+const describePrediction = (probabilities, classNames, { topK = 1, threshold = 0 } = {}) => {
+    const top = probabilities
+        .map((probability, i) => ({ className: classNames[i], probability }))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, Math.max(1, topK));
+    const uncertain = top[0].probability < threshold;
+
+    return {
+        prediction: uncertain ? UNCERTAIN : top[0].className,
+        confidence: top[0].probability,
+        uncertain,
+        margin: margin(probabilities),
+        entropy: entropy(probabilities),
+        probabilities: Object.fromEntries(classNames.map((name, i) => [name, probabilities[i]])),
+        top
+    };
+};
+
+// The model passed in, or the cached one loaded from modelPath
+const resolveModel = (model, modelPath) => model || loadModel(modelPath);
+
+/**
+ * Makes a prediction on an image file
+ * @param {string|Buffer|tf.Tensor} imagePath - Path to the image file to predict, its encoded bytes
+ *   or a preprocessed tensor (see processImage)
+ * @param {Object} [options] - { modelPath, model (a loaded model used instead of modelPath), topK, threshold,
+ *   calibrated (apply the calibration stored with the model, default true) }
+ * @returns {Promise<Object>} Prediction result (see describePrediction)
+ */
+const predict = async (imagePath, { modelPath = DEFAULT_MODEL_PATH, model: loadedModel, calibrated = true, ...options } = {}) => {
+    debug.log(`Starting prediction: ${typeof imagePath === 'string' ? imagePath : 'image data'}`);
+    const inputTensor = await processImage(imagePath);
+    try {
+        // Resolved only now, so a model swapped in by reloadModel while the image was decoded is used
+        const model = await resolveModel(loadedModel, modelPath);
+        const classNames = getClassNames(model);
+        const output = model.predict(inputTensor);
+        const outputs = [Array.from(await output.data())];
+        output.dispose();
+        debug.log("Raw predictions:", outputs[0]);
+        const [probabilities] = calibrated ? await calibrateProbabilities(model, outputs) : outputs;
+
+        const result = describePrediction(probabilities, classNames, options);
+        debug.log("Prediction completed:", { prediction: result.prediction, confidence: result.confidence });
+
+        return result;
+    } finally {
+        // Clean up tensors
+        inputTensor.dispose();
+    }
+};
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+const mapConcurrent = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
 
-        // Resize to 28x28
-        const resizedImg = tf.image.resizeNearestNeighbor(processedImg, [28, 28]);
-        debug.log("Image resized to 28x28");
+// Decodes a batch of images concurrently; failures are kept per image
+const decodeBatch = (images, concurrency) => mapConcurrent(images, concurrency, async (image) => {
+    try {
+        return { tensor: await processImage(image) };
+    } catch (error) {
+        debug.log(`Error processing ${typeof image === 'string' ? image : 'image data'}:`, error.message);
+        return { error: error.message };
+    }
+});
 
-        // Convert to float32 and normalize to [0,1]
-        const normalizedImg = tf.cast(resizedImg, 'float32').div(255.0);
-        debug.log("Image normalized");
+/**
+ * Classifies an image with the computer vision detector of the app
+ * (public/shapeDetection.mjs) instead of the model
+ * @param {string|Buffer} input - Path to the image file or its encoded bytes
+ * @param {Object} [options] - Detector options (overrides of CONFIG in shapeDetection.mjs)
+ * @returns {Promise<Object>} { shape, confidence, metrics, closure } where shape is one of the
+ *   detector's SHAPES or 'unknown' and closure describes the gaps it closed (see detectShape)
+ */
+const detectShapeCv = async (input, options = {}) => {
+    const [{ detectShape }, image] = await Promise.all([
+        import('./public/shapeDetection.mjs'),
+        decodeRgba(input)
+    ]);
+    const { shape, confidence, metrics, closure } = detectShape(image, { ...options, overlay: false });
+    return { shape, confidence, metrics, closure };
+};
 
-        // Remove alpha channel and add batch dimension
-        const inputTensor = tf.expandDims(normalizedImg.slice([0, 0, 0], [28, 28, 3]), 0);
-        debug.log("Input tensor prepared");
+/**
+ * Reads detector options written by tuneDetector.js
+ * @param {string} file - Options file
+ * @returns {Promise<Object>} Checked detector options
+ */
+const loadCvOptions = async (file) => {
+    const { optionsFromTuning } = await import('./public/shapeDetection.mjs');
+    return optionsFromTuning(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
 
-        return inputTensor;
+/**
+ * Adds the computer vision detector's result to a model result as `cv`, and
+ * `source`: which of the two the prediction comes from. In 'fallback' mode an
+ * uncertain prediction (see describePrediction) is replaced by the detector's
+ * shape when it recognized one. Tensor inputs and failed images are left as they are.
+ * @param {string|Buffer|tf.Tensor} input - The image the result is for
+ * @param {Object} result - Prediction result or { error }
+ * @param {string} mode - One of CV_MODES
+ * @param {Object} [options] - Detector options (see detectShapeCv)
+ * @returns {Promise<Object>} Result
+ */
+const withCvResult = async (input, result, mode, options = {}) => {
+    if (result.error || input instanceof tf.Tensor) {
+        return result;
+    }
+    let cv;
+    try {
+        const { shape, confidence } = await detectShapeCv(input, options);
+        cv = { shape, confidence };
     } catch (error) {
-        debug.log("Error processing image:", error);
-        throw new Error("Failed to process image");
+        debug.log('Computer vision detector failed:', error.message);
+        return { ...result, source: 'model', cv: { error: error.message } };
     }
+    if (mode === 'fallback' && result.uncertain && cv.shape !== 'unknown') {
+        return { ...result, prediction: cv.shape, confidence: cv.confidence, uncertain: false, source: 'cv', cv };
+    }
+    return { ...result, source: 'model', cv };
 };
 
 /**
- * Makes a prediction on an image file
- * @param {string} imagePath - Path to the image file to predict
- * @returns {Promise<number>} Predicted class (0 for circle, 1 for triangle)
+ * Classifies images in batches. The next batch is decoded (with `concurrency`
+ * images in flight) while the current one runs through the model. Results
+ * match predict() on each image; failures are recorded per image instead of
+ * aborting the whole run.
+ * @param {Array<string|Buffer|tf.Tensor>} images - Image paths, encoded PNG/JPEG bytes or
+ *   preprocessed tensors (see processImage)
+ * @param {Object} [options] - Options
+ * @param {string} [options.modelPath] - Model directory or model.json
+ * @param {tf.LayersModel} [options.model] - Loaded model to use instead of modelPath
+ * @param {number} [options.topK] - Ranked classes per result
+ * @param {number} [options.threshold] - Decision threshold (see describePrediction)
+ * @param {boolean} [options.calibrated] - Apply the calibration stored with the model (default true)
+ * @param {string} [options.cv] - Also run the computer vision detector on every image file or
+ *   buffer: 'compare' adds its result, 'fallback' also uses it for uncertain predictions
+ *   (see withCvResult)
+ * @param {Object} [options.cvOptions] - Detector options for cv (see detectShapeCv)
+ * @param {number} [options.batchSize] - Images per model.predict call
+ * @param {number} [options.concurrency] - Images decoded at the same time
+ * @param {Function} [options.onProgress] - Called after every batch with
+ *   { done, total, seconds, imagesPerSecond }
+ * @returns {Promise<Array>} Prediction result (see describePrediction) or { error } per image, in input order
  */
-const predict = async (imagePath) => {
+const predictImages = async (images, {
+    modelPath = DEFAULT_MODEL_PATH,
+    model: loadedModel,
+    calibrated = true,
+    cv = null,
+    cvOptions = {},
+    batchSize = 32,
+    concurrency = 8,
+    onProgress = () => {},
+    ...options
+} = {}) => {
+    if (cv && !CV_MODES.includes(cv)) {
+        throw new Error(`Unknown cv mode: ${cv} (expected ${CV_MODES.join(', ')})`);
+    }
+    // Fail early on a missing model instead of after decoding the first batch
+    await resolveModel(loadedModel, modelPath);
+    const batches = [];
+    for (let i = 0; i < images.length; i += batchSize) {
+        batches.push(images.slice(i, i + batchSize));
+    }
+
+    const started = Date.now();
+    const results = [];
+    let pending = batches.length > 0 ? decodeBatch(batches[0], concurrency) : null;
+    let decoded = [];
     try {
-        debug.log("Starting prediction process");
+        for (let b = 0; b < batches.length; b++) {
+            decoded = await pending;
+            // Start decoding the next batch before predicting this one
+            pending = b + 1 < batches.length ? decodeBatch(batches[b + 1], concurrency) : null;
 
-        // Ensure model is loaded
-        if (!model) {
-            await loadModel();
+            const valid = decoded.filter(item => item.tensor);
+            let probabilities = [];
+            // Looked up per batch so a reloaded model takes effect mid-run
+            const model = await resolveModel(loadedModel, modelPath);
+            const classNames = getClassNames(model);
+            if (valid.length > 0) {
+                const input = tf.concat(valid.map(item => item.tensor));
+                let output;
+                try {
+                    output = model.predict(input);
+                    probabilities = await output.array();
+                } finally {
+                    tf.dispose([input, output, ...valid.map(item => item.tensor)]);
+                }
+                if (calibrated) {
+                    probabilities = await calibrateProbabilities(model, probabilities);
+                }
+            }
+
+            let row = 0;
+            const described = decoded.map(item => (item.tensor
+                ? describePrediction(probabilities[row++], classNames, options)
+                : { error: item.error }));
+            results.push(...(cv
+                ? await mapConcurrent(described.map((result, i) => [batches[b][i], result]), concurrency,
+                    ([image, result]) => withCvResult(image, result, cv, cvOptions))
+                : described));
+
+            const seconds = (Date.now() - started) / 1000;
+            onProgress({ done: results.length, total: images.length, seconds, imagesPerSecond: results.length / (seconds || 1e-3) });
         }
+    } finally {
+        // After a failure, free what is left of this batch and of the next one, still decoding
+        const next = pending ? await pending.catch(() => []) : [];
+        tf.dispose([...decoded, ...next].filter(item => item.tensor).map(item => item.tensor));
+    }
 
-        // Process the image
-        const inputTensor = await processImage(imagePath);
+    return results;
+};
 
-        // Get predictions
-        const predictions = await model.predict(inputTensor).data();
-        debug.log("Raw predictions:", Array.from(predictions));
+/**
+ * Finds every separate shape in an image (see public/segmentation.mjs) and
+ * classifies each one on its own, cropped and preprocessed like a single drawing
+ * @param {string|Buffer} input - Path to the image file or its encoded bytes
+ * @param {Object} [options] - { modelPath, model, threshold, calibrated, segmentation: overrides of SEGMENTATION_DEFAULTS }
+ * @returns {Promise<Object>} { width, height, objects: [{ bbox: { x, y, width, height }, shape, confidence,
+ *   uncertain, probabilities }] } with objects in reading order
+ */
+const detectObjects = async (input, {
+    modelPath = DEFAULT_MODEL_PATH,
+    model: loadedModel,
+    calibrated = true,
+    segmentation = {},
+    ...options
+} = {}) => {
+    let image;
+    try {
+        image = await decodeRgba(input);
+    } catch (error) {
+        throw new Error(`Failed to process image: ${error.message}`);
+    }
 
-        // Get the predicted class
-        const label = Array.from(predictions).indexOf(Math.max(...Array.from(predictions)));
-        debug.log("Prediction completed:", label);
+    const [{ segmentComponents, cropComponent }, { preprocessPixels, PREPROCESSING }] = await Promise.all([
+        import('./public/segmentation.mjs'),
+        loadShared()
+    ]);
+    const { labels, components } = segmentComponents(image, segmentation);
+    debug.log(`Found ${components.length} objects`);
+    if (components.length === 0) {
+        return { width: image.width, height: image.height, objects: [] };
+    }
 
-        // Clean up tensors
-        tf.dispose([inputTensor]);
-        debug.log("Tensors disposed");
+    const crops = tf.tidy(() => tf.stack(components.map(component => tf.tensor3d(
+        preprocessPixels(cropComponent(image, labels, component, segmentation.padding)),
+        PREPROCESSING.inputShape
+    ))));
+    let model;
+    let probabilities;
+    try {
+        // Resolved only now, so a model swapped in by reloadModel while the image was decoded is used
+        model = await resolveModel(loadedModel, modelPath);
+        const output = model.predict(crops);
+        probabilities = await output.array();
+        output.dispose();
+    } finally {
+        crops.dispose();
+    }
+    const classNames = getClassNames(model);
+    if (calibrated) {
+        probabilities = await calibrateProbabilities(model, probabilities);
+    }
 
-        return label;
-    } catch (error) {
-        debug.log("Error during prediction:", error);
-        throw new Error("Prediction failed");
+    const objects = components.map((component, i) => {
+        const { prediction, confidence, uncertain, probabilities: byClass } = describePrediction(probabilities[i], classNames, options);
+        return { bbox: component.bbox, shape: prediction, confidence, uncertain, probabilities: byClass };
+    });
+    return { width: image.width, height: image.height, objects };
+};
+
+/**
+ * Classifies image files in batches (see predictImages)
+ * @param {string[]} files - Image paths
+ * @param {Object} [options] - predictImages options
+ * @returns {Promise<Array>} { file, ...prediction result } or { file, error } per file, in input order
+ */
+const predictFiles = async (files, options = {}) =>
+    (await predictImages(files, options)).map((result, i) => ({ file: files[i], ...result }));
+
+/**
+ * Runs detectObjects on image files one after the other
+ * @param {string[]} files - Image paths
+ * @param {Object} [options] - detectObjects options plus onProgress (see predictImages)
+ * @returns {Promise<Array>} { file, width, height, objects } or { file, error } per file, in input order
+ */
+const detectFiles = async (files, { onProgress = () => {}, ...options } = {}) => {
+    const started = Date.now();
+    const results = [];
+    for (const file of files) {
+        try {
+            results.push({ file, ...await detectObjects(file, options) });
+        } catch (error) {
+            debug.log(`Error processing ${file}:`, error.message);
+            results.push({ file, error: error.message });
+        }
+        const seconds = (Date.now() - started) / 1000;
+        onProgress({ done: results.length, total: files.length, seconds, imagesPerSecond: results.length / (seconds || 1e-3) });
     }
+    return results;
 };
 
 /**
  * Process a directory of images and save results
  * @param {string} inputDir - Directory containing images to process
  * @param {string} outputFile - Path to save results
+ * @param {Object} [options] - predictFiles options plus { recursive }
  * @returns {Promise<Array>} Array of prediction results
  */
-const processDirectory = async (inputDir, outputFile) => {
-    try {
-        debug.log(`Processing directory: ${inputDir}`);
+const processDirectory = async (inputDir, outputFile, options = {}) => {
+    debug.log(`Processing directory: ${inputDir}`);
+    const results = await predictFiles(expandInputs([inputDir], options), options);
 
-        // Ensure model is loaded
-        await loadModel();
+    // Save results
+    fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
+    debug.log(`Results saved to: ${outputFile}`);
 
-        // Read directory contents
-        const files = fs.readdirSync(inputDir);
-        const results = [];
+    return results;
+};
 
-        // Process each image
-        for (const file of files) {
-            if (file.match(/\.(jpg|jpeg|png)$/i)) {
-                const imagePath = path.join(inputDir, file);
-                debug.log(`Processing image: ${file}`);
+// Quotes a CSV field when needed
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-                try {
-                    const prediction = await predict(imagePath);
-                    results.push({
-                        file,
-                        prediction: prediction === 0 ? 'circle' : 'triangle',
-                        confidence: prediction
-                    });
-                } catch (error) {
-                    debug.log(`Error processing ${file}:`, error);
-                    results.push({
-                        file,
-                        error: error.message
-                    });
-                }
-            }
+/**
+ * Formats prediction results. The computer vision detector's results (cv option of
+ * predictImages) get their own columns in csv and table when present.
+ * @param {Array} results - Results from predictFiles
+ * @param {string} format - json | jsonl | csv | table
+ * @param {Object} [options] - { topK } number of ranked classes to include
+ * @returns {string} Formatted output, ending with a newline
+ */
+const formatResults = (results, format, { topK = 1 } = {}) => {
+    // The top-k list is only reported when asked for more than the prediction itself
+    const rows = results.map(({ top, ...result }) => (topK > 1 && top ? { ...result, top } : result));
+    const ranks = Array.from({ length: topK - 1 }, (_, i) => i + 2);
+    const withCv = rows.some(row => row.cv);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(rows, null, 2) + '\n';
+        case 'jsonl':
+            return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+        case 'csv': {
+            const success = rows.find(row => !row.error);
+            const classNames = success ? Object.keys(success.probabilities) : [];
+            const header = ['file', 'prediction', 'confidence', 'uncertain', 'margin', 'entropy',
+                ...classNames.map(name => `p_${name}`),
+                ...ranks.flatMap(rank => [`top${rank}`, `top${rank}_confidence`]),
+                ...(withCv ? ['cv_shape', 'cv_confidence', 'source'] : []), 'error'];
+            const lines = rows.map(row => [
+                row.file,
+                row.prediction,
+                row.confidence,
+                row.uncertain,
+                row.margin,
+                row.entropy,
+                ...classNames.map(name => row.probabilities && row.probabilities[name]),
+                ...ranks.flatMap(rank => {
+                    const entry = row.top && row.top[rank - 1];
+                    return entry ? [entry.className, entry.probability] : ['', ''];
+                }),
+                ...(withCv ? [row.cv && row.cv.shape, row.cv && row.cv.confidence, row.source] : []),
+                row.error
+            ].map(csvField).join(','));
+            return [header.join(','), ...lines].join('\n') + '\n';
+        }
+        case 'table': {
+            const header = ['file', 'prediction', 'confidence', 'margin', 'entropy',
+                ...(topK > 1 ? [`top ${topK}`] : []), ...(withCv ? ['cv'] : [])];
+            const cells = rows.map((row, r) => row.error
+                ? [row.file, 'error', row.error]
+                : [
+                    row.file,
+                    // Show the best guess next to "uncertain", and mark predictions taken from the detector
+                    row.uncertain ? `${UNCERTAIN} (${results[r].top[0].className})`
+                        : row.source === 'cv' ? `${row.prediction} (cv)` : row.prediction,
+                    row.confidence.toFixed(3),
+                    row.margin.toFixed(3),
+                    row.entropy.toFixed(3),
+                    ...(topK > 1 ? [row.top.map(t => `${t.className} ${t.probability.toFixed(3)}`).join(', ')] : []),
+                    ...(withCv ? [!row.cv ? '' : row.cv.error ? 'error' : `${row.cv.shape} ${row.cv.confidence.toFixed(3)}`] : [])
+                ]);
+            // Error messages run past the columns instead of widening them
+            const widths = header.map((title, i) => Math.max(title.length,
+                ...cells.filter((row, r) => !rows[r].error).map(row => row[i].length)));
+            return [header, ...cells]
+                .map(row => row.map((cell, i) => (cell || '').padEnd(widths[i])).join('  ').trimEnd())
+                .join('\n') + '\n';
         }
+        default:
+            throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+};
 
-        // Save results
-        fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
-        debug.log(`Results saved to: ${outputFile}`);
+/**
+ * Formats the results of detectFiles. csv and table have one row per object
+ * (and one for each image without objects or with an error).
+ * @param {Array} results - Results from detectFiles
+ * @param {string} format - json | jsonl | csv | table
+ * @returns {string} Formatted output, ending with a newline
+ */
+const formatObjects = (results, format) => {
+    if (format === 'json' || format === 'jsonl') {
+        return formatResults(results, format);
+    }
+    const rows = results.flatMap(result => {
+        if (result.error || result.objects.length === 0) {
+            return [{ file: result.file, error: result.error || '' }];
+        }
+        return result.objects.map((object, i) => ({ file: result.file, index: i + 1, ...object }));
+    });
 
-        return results;
-    } catch (error) {
-        debug.log("Error processing directory:", error);
-        throw new Error("Failed to process directory");
+    if (format === 'csv') {
+        const header = ['file', 'object', 'shape', 'confidence', 'uncertain', 'x', 'y', 'width', 'height', 'error'];
+        const lines = rows.map(row => [
+            row.file, row.index, row.shape, row.confidence, row.uncertain,
+            row.bbox && row.bbox.x, row.bbox && row.bbox.y, row.bbox && row.bbox.width, row.bbox && row.bbox.height,
+            row.error
+        ].map(csvField).join(','));
+        return [header.join(','), ...lines].join('\n') + '\n';
+    }
+    if (format === 'table') {
+        const bestClass = (probabilities) => Object.keys(probabilities)
+            .reduce((best, name) => probabilities[name] > probabilities[best] ? name : best);
+        const header = ['file', '#', 'shape', 'confidence', 'box (x, y, w×h)'];
+        // Errors go in the last column so they do not widen the others
+        const cells = rows.map(row => row.shape
+            ? [
+                row.file,
+                String(row.index),
+                row.uncertain ? `${UNCERTAIN} (${bestClass(row.probabilities)})` : row.shape,
+                row.confidence.toFixed(3),
+                `${row.bbox.x}, ${row.bbox.y}, ${row.bbox.width}×${row.bbox.height}`
+            ]
+            : [row.file, '-', row.error ? 'error' : 'no shapes', '', row.error]);
+        const widths = header.map((title, i) => Math.max(title.length, ...cells.map(cell => cell[i].length)));
+        return [header, ...cells]
+            .map(cell => cell.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd())
+            .join('\n') + '\n';
     }
+    throw new Error(`Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
 };
 
-// Example usage
-async function main() {
+const usage = () => `Usage: node predict.js [options] <file|directory|glob>...
+       node predict.js --watch [options] <directory>
+
+Classifies images with a trained model. Globs (quote them) support *, **, ? and {a,b}.
+With --watch, keeps classifying images as they are added to or changed in the
+directory and appends the results to a JSONL log (--out, default ${DEFAULT_WATCH_LOG}).
+
+Options:
+  --model <path>       Model directory or model.json (default model/)
+  --format <format>    ${FORMATS.join(' | ')} (default table)
+  --top-k <n>          Also report the n most likely classes (default 1)
+  --threshold <p>      Report "${UNCERTAIN}" when the top probability is below p (default 0)
+  --uncalibrated       Ignore the calibration stored with the model
+  --multi              Find every shape in each image and classify them separately,
+                       reporting a bounding box per shape
+  --cv <mode>          Also run the computer vision detector of the app on each image:
+                       compare (report its result next to the model's) or fallback
+                       (also use it when the model is uncertain, see --threshold)
+  --cv-options <file>  Detector options written by tuneDetector.js
+                       (default public/shapeDetection.json when it exists)
+  --out <file>         Write results to a file instead of stdout
+  -r, --recursive      Include images in subdirectories of directory inputs
+  --batch-size <n>     Images per model call (default 32)
+  --concurrency <n>    Images decoded in parallel (default 8)
+  -v, --verbose        Log processing details to stderr
+  -h, --help           Show this help
+
+Watch mode:
+  --watch              Watch the directory until interrupted (Ctrl+C)
+  --move-to <dir>      Move classified images to <dir>/<prediction>/
+  --index <file>       Processed-file index, so restarts skip classified images
+                       (default: the log path with .index.json)
+  --settle <ms>        Wait until a file has not been modified for this long (default 2000)
+  --interval <ms>      Poll interval (default 1000)
+
+Exit codes: ${EXIT_CODES.success} success, ${EXIT_CODES.error} unexpected error, ${EXIT_CODES.badInput} bad arguments or no images,
+${EXIT_CODES.modelLoad} model could not be loaded, ${EXIT_CODES.predictionFailed} some images could not be classified.`;
+
+/**
+ * Runs --watch mode until SIGINT or SIGTERM
+ * @param {string} dir - Directory to watch
+ * @param {Object} values - Parsed command line flags
+ * @param {Object} options - predictFiles options
+ * @returns {Promise<number>} Exit code once stopped
+ */
+const watch = async (dir, values, options) => {
+    // Required here: watchFolder builds on this module
+    const { watchDirectory } = require('./watchFolder');
+    const logPath = values.out || DEFAULT_WATCH_LOG;
+    const indexPath = values.index || logPath.replace(/(\.jsonl)?$/, '.index.json');
+
+    const watcher = watchDirectory(dir, {
+        ...options,
+        onProgress: undefined,
+        logPath,
+        indexPath,
+        moveTo: values['move-to'] || null,
+        recursive: Boolean(values.recursive),
+        settle: Number(values.settle),
+        interval: Number(values.interval),
+        onResult: (result) => console.error(result.error
+            ? `${result.file}: ${result.error}`
+            : `${result.file}: ${result.prediction} (${result.confidence.toFixed(3)})${result.movedTo ? ` -> ${result.movedTo}` : ''}${result.moveError ? ` (not moved: ${result.moveError})` : ''}`),
+        onError: (error) => console.error(`Error: ${error.message}`)
+    });
+    console.error(`Watching ${dir}; results are appended to ${logPath} (Ctrl+C to stop)`);
+
+    await new Promise(resolve => {
+        const shutdown = () => {
+            console.error('Stopping: finishing the current batch...');
+            watcher.stop().then(resolve, error => {
+                console.error(`Error: ${error.message}`);
+                resolve();
+            });
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+    console.error('Stopped');
+    return EXIT_CODES.success;
+};
+
+/**
+ * Runs the command line interface
+ * @param {string[]} argv - Arguments (without node and script)
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+const main = async (argv) => {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                model: { type: 'string', default: DEFAULT_MODEL_PATH },
+                format: { type: 'string', default: 'table' },
+                'top-k': { type: 'string', default: '1' },
+                threshold: { type: 'string', default: '0' },
+                uncalibrated: { type: 'boolean' },
+                multi: { type: 'boolean' },
+                cv: { type: 'string' },
+                'cv-options': { type: 'string' },
+                out: { type: 'string' },
+                recursive: { type: 'boolean', short: 'r' },
+                'batch-size': { type: 'string', default: '32' },
+                concurrency: { type: 'string', default: '8' },
+                verbose: { type: 'boolean', short: 'v' },
+                help: { type: 'boolean', short: 'h' },
+                watch: { type: 'boolean' },
+                'move-to': { type: 'string' },
+                index: { type: 'string' },
+                settle: { type: 'string', default: '2000' },
+                interval: { type: 'string', default: '1000' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        return EXIT_CODES.badInput;
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return EXIT_CODES.success;
+    }
+
+    const topK = Number(values['top-k']);
+    const threshold = Number(values.threshold);
+    const batchSize = Number(values['batch-size']);
+    const concurrency = Number(values.concurrency);
+    const problems = [];
+    if (positionals.length === 0) {
+        problems.push('No input files, directories or globs given');
+    }
+    if (!FORMATS.includes(values.format)) {
+        problems.push(`Unknown format: ${values.format} (expected ${FORMATS.join(', ')})`);
+    }
+    if (!Number.isInteger(topK) || topK < 1) {
+        problems.push('--top-k expects a positive integer');
+    }
+    if (!(threshold >= 0 && threshold <= 1)) {
+        problems.push('--threshold expects a probability between 0 and 1');
+    }
+    if (values.cv !== undefined && !CV_MODES.includes(values.cv)) {
+        problems.push(`Unknown --cv mode: ${values.cv} (expected ${CV_MODES.join(', ')})`);
+    }
+    if (values.cv && values.multi) {
+        problems.push('--cv cannot be combined with --multi');
+    }
+    if (values['cv-options'] && !values.cv) {
+        problems.push('--cv-options only applies to --cv');
+    }
+    [['batch-size', batchSize], ['concurrency', concurrency]].forEach(([flag, value]) => {
+        if (!Number.isInteger(value) || value < 1) {
+            problems.push(`--${flag} expects a positive integer`);
+        }
+    });
+    if (values.watch) {
+        if (positionals.length !== 1 || !fs.existsSync(positionals[0]) || !fs.statSync(positionals[0]).isDirectory()) {
+            problems.push('--watch expects exactly one existing directory');
+        }
+        ['settle', 'interval'].forEach(flag => {
+            if (!Number.isInteger(Number(values[flag])) || Number(values[flag]) < (flag === 'interval' ? 1 : 0)) {
+                problems.push(`--${flag} expects a number of milliseconds`);
+            }
+        });
+        if (values.multi) {
+            problems.push('--multi cannot be combined with --watch');
+        }
+    } else if (values['move-to'] || values.index) {
+        problems.push('--move-to and --index only apply to --watch');
+    }
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        return EXIT_CODES.badInput;
+    }
+
+    debug.enabled = Boolean(values.verbose);
+
+    let cvOptions = {};
+    const cvOptionsPath = values['cv-options'] || (fs.existsSync(DEFAULT_CV_OPTIONS_PATH) ? DEFAULT_CV_OPTIONS_PATH : null);
+    if (values.cv && cvOptionsPath) {
+        try {
+            cvOptions = await loadCvOptions(cvOptionsPath);
+            debug.log(`Detector options from ${cvOptionsPath}:`, cvOptions);
+        } catch (error) {
+            console.error(`Error: Invalid detector options in ${cvOptionsPath}: ${error.message}`);
+            return EXIT_CODES.badInput;
+        }
+    }
+
+    let files;
     try {
-        // Example 1: Process a single image
-        const imagePath = path.join(__dirname, 'data', 'test', 'circle1.png');
-        console.log('\nProcessing single image:', imagePath);
-        const prediction = await predict(imagePath);
-        console.log('Prediction:', prediction === 0 ? 'circle' : 'triangle');
-
-        // Example 2: Process a directory of images
-        const inputDir = path.join(__dirname, 'data', 'test');
-        const outputFile = path.join(__dirname, 'predictions.json');
-        console.log('\nProcessing directory:', inputDir);
-        const results = await processDirectory(inputDir, outputFile);
-        console.log('Results:', results);
+        // A watched directory may start out empty
+        files = values.watch ? [] : expandInputs(positionals, { recursive: values.recursive });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return EXIT_CODES.badInput;
+    }
 
+    let numClasses;
+    try {
+        numClasses = getClassNames(await loadModel(values.model)).length;
     } catch (error) {
-        console.error('Error:', error.message);
-        process.exit(1);
+        console.error(`Error: ${error.message}`);
+        return EXIT_CODES.modelLoad;
+    }
+
+    const options = {
+        modelPath: values.model,
+        topK: Math.min(topK, numClasses),
+        threshold,
+        calibrated: !values.uncalibrated,
+        cv: values.cv || null,
+        cvOptions,
+        batchSize,
+        concurrency,
+        // Progress goes to stderr, rewriting one line on a terminal
+        onProgress: ({ done, total, imagesPerSecond }) => {
+            if (process.stderr.isTTY) {
+                process.stderr.write(`\r${done}/${total} images (${imagesPerSecond.toFixed(1)} images/s)`);
+            }
+        }
+    };
+    if (values.watch) {
+        return watch(positionals[0], values, options);
     }
+
+    const started = Date.now();
+    const results = values.multi ? await detectFiles(files, options) : await predictFiles(files, options);
+    const seconds = (Date.now() - started) / 1000;
+    if (process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+    console.error(`Classified ${results.length} images in ${seconds.toFixed(1)} s (${(results.length / (seconds || 1e-3)).toFixed(1)} images/s)`);
+    const output = values.multi ? formatObjects(results, values.format) : formatResults(results, values.format, options);
+
+    if (values.out) {
+        fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+        fs.writeFileSync(values.out, output);
+        console.error(`Results for ${results.length} images written to ${values.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const failed = results.filter(result => result.error).length;
+    if (failed > 0) {
+        console.error(`${failed} of ${results.length} images could not be classified`);
+        return EXIT_CODES.predictionFailed;
+    }
+    return EXIT_CODES.success;
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.error;
+    });
 }
 
-// Run the example
-main(); 
\ No newline at end of file
+module.exports = {
+    EXIT_CODES,
+    UNCERTAIN,
+    CV_MODES,
+    DEFAULT_MODEL_PATH,
+    loadModel,
+    reloadModel,
+    processImage,
+    describePrediction,
+    predict,
+    predictImages,
+    predictFiles,
+    detectShapeCv,
+    loadCvOptions,
+    detectObjects,
+    detectFiles,
+    processDirectory,
+    formatResults,
+    formatObjects,
+    main
+};
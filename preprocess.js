@@ -0,0 +1,56 @@
+const sharp = require('sharp');
+
+let shared;
+
+/**
+ * Loads the preprocessing module shared with the browser (public/preprocess.mjs).
+ * It is an ES module so the browser can import it as is, hence the dynamic import.
+ * @returns {Promise<Object>} { PREPROCESSING, compositeOnBackground, resizeArea, preprocessPixels }
+ */
+const loadShared = () => {
+    if (!shared) {
+        shared = import('./public/preprocess.mjs');
+    }
+    return shared;
+};
+
+/**
+ * The preprocessing spec stored with trained models
+ * @returns {Promise<Object>} PREPROCESSING from the shared module
+ */
+const getPreprocessing = async () => (await loadShared()).PREPROCESSING;
+
+/**
+ * Decodes an image to RGBA pixels at its original size, the same layout a
+ * canvas getImageData call returns in the browser
+ * @param {string|Buffer} source - Image path or encoded image buffer
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>} RGBA pixels
+ */
+const decodeRgba = async (source) => {
+    const { data, info } = await sharp(source).raw().toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    if (channels === 4) {
+        return { data, width, height };
+    }
+
+    // Grey, grey + alpha and RGB images
+    const rgba = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const pixel = data.subarray(i * channels, (i + 1) * channels);
+        const [r, g, b] = channels < 3 ? [pixel[0], pixel[0], pixel[0]] : pixel;
+        rgba.set([r, g, b, channels === 2 ? pixel[1] : 255], i * 4);
+    }
+    return { data: rgba, width, height };
+};
+
+/**
+ * Decodes an image and runs the shared preprocessing on it
+ * @param {string|Buffer} source - Image path or encoded image buffer
+ * @returns {Promise<Float32Array>} Model input values in [0, 1], [28, 28, 3] row-major
+ */
+const preprocessImage = async (source) => {
+    const [{ preprocessPixels }, image] = await Promise.all([loadShared(), decodeRgba(source)]);
+    return preprocessPixels(image);
+};
+
+module.exports = { loadShared, getPreprocessing, decodeRgba, preprocessImage };
@@ -0,0 +1,53 @@
+/**
+ * Probability calibration shared by Node and the browser. calibrate.js fits
+ * the parameters on held-out data and stores them in the model metadata as
+ * `calibration`; prediction applies them to the model's softmax output.
+ *
+ * The model only outputs probabilities, so their logs serve as logits (equal
+ * to the real logits up to a constant, which softmax ignores). Calibrated
+ * probabilities are softmax(logits * weights / temperature + bias):
+ *  - temperature: a single temperature, weights 1 and bias 0
+ *  - bias: temperature plus one bias per class
+ *  - vector: one weight and one bias per class, temperature 1
+ */
+
+export const CALIBRATION_METHODS = ['temperature', 'bias', 'vector'];
+
+// Keeps log() finite for probabilities that underflowed to 0
+const MIN_PROBABILITY = 1e-12;
+
+/**
+ * Converts probabilities to logits
+ * @param {number[]} probabilities - Class probabilities of one sample
+ * @returns {number[]} Log probabilities
+ */
+export const toLogits = (probabilities) => probabilities.map(p => Math.log(Math.max(p, MIN_PROBABILITY)));
+
+/**
+ * Numerically stable softmax
+ * @param {number[]} logits - Logits of one sample
+ * @returns {number[]} Probabilities
+ */
+export const softmax = (logits) => {
+    const max = Math.max(...logits);
+    const exps = logits.map(z => Math.exp(z - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(e => e / sum);
+};
+
+/**
+ * Applies stored calibration parameters to a model output
+ * @param {ArrayLike<number>} probabilities - Softmax output for one sample
+ * @param {Object|null} [calibration] - { temperature, weights, bias } from the model metadata;
+ *   null or undefined returns the probabilities unchanged
+ * @returns {number[]} Calibrated probabilities
+ */
+export const applyCalibration = (probabilities, calibration) => {
+    const values = Array.from(probabilities);
+    if (!calibration) {
+        return values;
+    }
+    const { temperature = 1, weights = null, bias = null } = calibration;
+    return softmax(toLogits(values).map((z, c) =>
+        z * (weights ? weights[c] : 1) / temperature + (bias ? bias[c] : 0)));
+};
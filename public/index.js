@@ -4,7 +4,15 @@
 const tf = window.tf; // Use the global tf object loaded via script tag in HTML
 
 // Import our computer vision shape detector
-import { detectShape } from './shapeDetector.js';
+import { detectShape, detectShapes, drawDetections } from './shapeDetector.js';
+// Reads the detector options written by tuneDetector.js
+import { optionsFromTuning } from './shapeDetection.mjs';
+// Splits a drawing into separate objects for multi-shape mode
+import { segmentComponents, cropComponent } from './segmentation.mjs';
+// Preprocessing shared with training and Node prediction
+import { PREPROCESSING, preprocessPixels } from './preprocess.mjs';
+// Calibration fitted by calibrate.js, shared with Node prediction
+import { applyCalibration } from './calibration.mjs';
 
 // Debug utility for browser
 const debug = {
@@ -37,13 +45,16 @@ const testModelAccess = async () => {
             const response = await fetch(path);
             if (response.ok) {
                 debug.log(`✓ Success! Model is accessible at: ${path} (Status: ${response.status})`);
-                // Try to fetch the weights file too
-                const weightsPath = path.replace('model.json', 'weights.bin');
-                const weightsResponse = await fetch(weightsPath);
-                if (weightsResponse.ok) {
-                    debug.log(`✓ Success! Weights are accessible at: ${weightsPath} (Status: ${weightsResponse.status})`);
-                } else {
-                    debug.log(`✗ Error! Weights file not accessible at: ${weightsPath} (Status: ${weightsResponse.status})`);
+                // Try to fetch the weight files too (one weights.bin, or shards of an exported model)
+                const { weightsManifest } = await response.json();
+                for (const file of weightsManifest.flatMap(group => group.paths)) {
+                    const weightsPath = path.replace('model.json', file);
+                    const weightsResponse = await fetch(weightsPath);
+                    if (weightsResponse.ok) {
+                        debug.log(`✓ Success! Weights are accessible at: ${weightsPath} (Status: ${weightsResponse.status})`);
+                    } else {
+                        debug.log(`✗ Error! Weights file not accessible at: ${weightsPath} (Status: ${weightsResponse.status})`);
+                    }
                 }
             } else {
                 debug.log(`✗ Error! Model not accessible at: ${path} (Status: ${response.status})`);
@@ -102,17 +113,26 @@ function getCanvas() {
 function displayPrediction(result) {
     const predictionParagraph = document.querySelector(".prediction");
     if (predictionParagraph) {
-        // Display the shape name and confidence
-        const shapeName = result.shape.charAt(0).toUpperCase() + result.shape.slice(1);
-        const confidence = Math.round(result.confidence * 100);
-        predictionParagraph.textContent = `Prediction: ${shapeName} (${confidence}% confidence)`;
+        if (result.objects) {
+            // Multi-shape mode: one entry per object, boxes in the debug image
+            const found = result.objects.map(object => `${object.shape} (${Math.round(object.confidence * 100)}%)`);
+            predictionParagraph.textContent = result.objects.length === 0
+                ? 'No shapes found'
+                : `Found ${result.objects.length} shape${result.objects.length === 1 ? '' : 's'}: ${found.join(', ')}`;
+        } else {
+            // Display the shape name and confidence
+            const shapeName = result.shape.charAt(0).toUpperCase() + result.shape.slice(1);
+            const confidence = Math.round(result.confidence * 100);
+            predictionParagraph.textContent = `Prediction: ${shapeName} (${confidence}% confidence)`;
+        }
 
-        // If there's a debug image, display it
+        // If there's a debug image, display it (full size when it shows several boxes)
         if (result.debugImage) {
+            const size = result.objects ? `${canvas.width}px` : '100px';
             const debugImg = document.createElement('img');
             debugImg.src = result.debugImage;
-            debugImg.style.width = '100px';
-            debugImg.style.height = '100px';
+            debugImg.style.width = size;
+            debugImg.style.height = size;
             debugImg.style.display = 'block';
             debugImg.style.margin = '10px auto';
 
@@ -131,6 +151,33 @@ function displayPrediction(result) {
 // Original TensorFlow model (kept for compatibility)
 let model;
 
+/**
+ * Returns the class names stored in the model metadata, falling back to the
+ * legacy shapeHints block and then to generic names
+ * @returns {string[]} Class names, index = predicted class
+ */
+const getClassNames = () => {
+    const metadata = model.getUserDefinedMetadata() || {};
+    if (Array.isArray(metadata.classNames)) {
+        return metadata.classNames;
+    }
+    if (metadata.shapeHints && Array.isArray(metadata.shapeHints.classNames)) {
+        return metadata.shapeHints.classNames;
+    }
+    const numClasses = model.outputs[0].shape[1];
+    return Array.from({ length: numClasses }, (_, i) => `class ${i}`);
+};
+
+/**
+ * Applies the calibration stored in the model metadata, if any
+ * @param {Float32Array} output - Softmax output for one image
+ * @returns {number[]} Calibrated probabilities
+ */
+const calibrate = (output) => {
+    const { calibration } = model.getUserDefinedMetadata() || {};
+    return applyCalibration(output, calibration);
+};
+
 /**
  * Loads the TensorFlow.js model
  * @returns {Promise<void>}
@@ -186,6 +233,48 @@ const loadModel = async () => {
     return model;
 };
 
+/**
+ * Converts an image or canvas to a model input tensor. The pixels are read at
+ * full resolution, transparency included, and handed to the shared
+ * preprocessing so the model sees what it saw in training.
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image to classify
+ * @returns {tf.Tensor4D} Input tensor of shape [1, ...PREPROCESSING.inputShape]
+ */
+const toModelInput = (source) => {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = width;
+    tempCanvas.height = height;
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCtx.drawImage(source, 0, 0);
+
+    const { data } = tempCtx.getImageData(0, 0, width, height);
+    return tf.tensor4d(preprocessPixels({ data, width, height }), [1, ...PREPROCESSING.inputShape]);
+};
+
+// Options of the CV detector; tuned ones replace the defaults once loaded
+let detectorOptions = {};
+
+/**
+ * Loads the detector options tuned by tuneDetector.js, if the app ships them
+ * (shapeDetection.json next to the page); the detector keeps its defaults otherwise
+ * @returns {Promise<void>}
+ */
+const loadDetectorOptions = async () => {
+    try {
+        const response = await fetch('./shapeDetection.json');
+        if (!response.ok) {
+            debug.log("No tuned detector options found, using the defaults");
+            return;
+        }
+        detectorOptions = optionsFromTuning(await response.json());
+        debug.log("Loaded tuned detector options:", detectorOptions);
+    } catch (error) {
+        debug.log("Could not load tuned detector options:", error.message);
+    }
+};
+
 /**
  * Detect shape using the CV-based approach
  * @param {HTMLCanvasElement} canvas - Canvas element with the drawing
@@ -195,7 +284,7 @@ const detectShapeWithCV = (canvas) => {
     try {
         debug.log("Starting CV-based shape detection");
         // Use our pure JavaScript shape detector
-        const result = detectShape(canvas);
+        const result = detectShape(canvas, detectorOptions);
         debug.log("CV shape detection result:", result);
         return result;
     } catch (error) {
@@ -217,35 +306,19 @@ const predict = async (img) => {
         if (model) {
             try {
                 debug.log("Using TensorFlow model for prediction");
-                // Create a temporary canvas to draw the image
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = 28;  // Model expects 28x28 images
-                tempCanvas.height = 28;
-
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCtx.fillStyle = "white"; // Fill with white background
-                tempCtx.fillRect(0, 0, 28, 28);
-                tempCtx.drawImage(img, 0, 0, 28, 28);
-
-                // Get the image data and preprocess
-                const imageData = tempCtx.getImageData(0, 0, 28, 28);
-
-                // Convert to tensor and normalize
-                const tensor = tf.browser.fromPixels(imageData, 3)
-                    .toFloat()
-                    .div(tf.scalar(255))
-                    .expandDims(0);
+                const tensor = toModelInput(img);
 
                 // Get prediction from model
                 const prediction = await model.predict(tensor);
-                const values = await prediction.data();
+                const output = await prediction.data();
+                debug.log("Raw model prediction values:", output);
 
-                debug.log("Raw model prediction values:", values);
+                const values = calibrate(output);
 
                 // Get the index with highest probability
                 const argMax = values.indexOf(Math.max(...values));
                 const confidence = values[argMax];
-                const shape = argMax === 0 ? 'circle' : 'triangle';
+                const shape = getClassNames()[argMax];
 
                 debug.log(`TensorFlow model predicts ${shape} with confidence ${confidence}`);
 
@@ -321,6 +394,56 @@ const predict = async (img) => {
     }
 };
 
+/**
+ * Finds every shape in an image: the drawing is split into objects, each one
+ * is cropped and classified by the model, or by the CV detector when no model
+ * is available
+ * @param {HTMLImageElement} img - Image element
+ * @returns {Promise<Object>} { objects: [{ bbox, shape, confidence }], debugImage, source }
+ */
+const predictMany = async (img) => {
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = canvas.width;
+    tempCanvas.height = canvas.height;
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCtx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    if (model) {
+        try {
+            const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
+            const { labels, components } = segmentComponents(imageData);
+            debug.log(`Found ${components.length} objects`);
+            let objects = [];
+            if (components.length > 0) {
+                const batch = tf.tidy(() => tf.stack(components.map(component => tf.tensor3d(
+                    preprocessPixels(cropComponent(imageData, labels, component)),
+                    PREPROCESSING.inputShape
+                ))));
+                const prediction = model.predict(batch);
+                const outputs = await prediction.array();
+                tf.dispose([batch, prediction]);
+
+                const classNames = getClassNames();
+                objects = components.map((component, i) => {
+                    const values = calibrate(outputs[i]);
+                    const argMax = values.indexOf(Math.max(...values));
+                    return { bbox: component.bbox, shape: classNames[argMax], confidence: values[argMax] };
+                });
+            }
+            debug.log("Model detections:", objects);
+            return { objects, debugImage: drawDetections(imageData, objects), source: 'model' };
+        } catch (error) {
+            debug.log("Error in TensorFlow prediction:", error);
+            // Fall through to CV-based approach
+        }
+    }
+
+    debug.log("Using CV-based detection for multiple shapes");
+    const cvResult = detectShapes(tempCanvas, detectorOptions);
+    debug.log("CV detections:", cvResult.objects);
+    return { ...cvResult, source: 'cv' };
+};
+
 // Set up frontend event listeners
 const clearButton = document.getElementById("clear-button");
 const predictButton = document.getElementById("check-button");
@@ -364,7 +487,8 @@ predictButton.addEventListener("click", async () => {
     newImg.onload = async () => {
         try {
             showLoading(predictionLoadingIndicator);
-            const result = await predict(newImg);
+            const multiMode = document.getElementById("multi-mode").checked;
+            const result = multiMode ? await predictMany(newImg) : await predict(newImg);
             displayPrediction(result);
         } catch (error) {
             const predictionParagraph = document.querySelector(".prediction");
@@ -400,8 +524,9 @@ const testModel = async () => {
 
     debug.log("Testing model with simple shapes...");
 
-    // Create sample shapes on temporary canvases
-    const shapes = ['circle', 'triangle'];
+    // Create sample shapes on temporary canvases (only those we know how to draw)
+    const classNames = getClassNames();
+    const shapes = ['circle', 'triangle'].filter(shape => classNames.includes(shape));
     const results = [];
 
     for (const shape of shapes) {
@@ -429,20 +554,16 @@ const testModel = async () => {
         }
 
         // Convert to tensor
-        const imageData = tempCtx.getImageData(0, 0, 28, 28);
-        const tensor = tf.browser.fromPixels(imageData, 3)
-            .toFloat()
-            .div(tf.scalar(255))
-            .expandDims(0);
+        const tensor = toModelInput(tempCanvas);
 
         // Get prediction
         const prediction = await model.predict(tensor);
-        const values = await prediction.data();
+        const values = calibrate(await prediction.data());
 
         // Get result
         const argMax = values.indexOf(Math.max(...values));
         const confidence = values[argMax];
-        const predictedShape = argMax === 0 ? 'circle' : 'triangle';
+        const predictedShape = classNames[argMax];
 
         debug.log(`Test ${shape}: predicted as ${predictedShape} with confidence ${confidence.toFixed(4)}`);
         results.push({
@@ -467,6 +588,7 @@ const testModel = async () => {
 // Initialize everything when the page loads
 window.addEventListener('load', async () => {
     debug.log("Page loaded, initializing...");
+    await loadDetectorOptions();
     // Try to load the TensorFlow model for compatibility
     try {
         await loadModel();
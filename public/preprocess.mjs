@@ -0,0 +1,113 @@
+/**
+ * Image preprocessing shared by training, Node prediction and the browser app,
+ * so the model sees identical inputs whichever path decoded the image.
+ *
+ * Works on decoded RGBA pixels ({ data, width, height }, as returned by a
+ * canvas getImageData call or sharp's raw output) and has no dependencies.
+ * Node loads it with import(); the browser imports it directly.
+ */
+
+// Stored with every trained model; bump the version when the steps change
+export const PREPROCESSING = {
+    version: 2,
+    inputShape: [28, 28, 3],
+    background: [255, 255, 255],
+    resize: 'area',
+    channels: 'rgb',
+    normalization: 'pixel / 255'
+};
+
+/**
+ * Composites RGBA pixels onto an opaque background, so transparent regions
+ * (an untouched drawing canvas, a PNG with alpha) read as background
+ * instead of black
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @param {number[]} [background] - RGB background colour
+ * @returns {Float32Array} RGB values in [0, 255], row-major
+ */
+export const compositeOnBackground = ({ data, width, height }, background = PREPROCESSING.background) => {
+    const pixels = width * height;
+    const rgb = new Float32Array(pixels * 3);
+    for (let i = 0; i < pixels; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        for (let c = 0; c < 3; c++) {
+            rgb[i * 3 + c] = data[i * 4 + c] * alpha + background[c] * (1 - alpha);
+        }
+    }
+    return rgb;
+};
+
+/**
+ * For each output index along one axis, the source indices it covers and
+ * their weights (the overlap of the source pixel with the output pixel)
+ */
+const areaWeights = (inSize, outSize) => {
+    const scale = inSize / outSize;
+    return Array.from({ length: outSize }, (_, out) => {
+        const start = out * scale;
+        const end = start + scale;
+        const taps = [];
+        for (let src = Math.floor(start); src < Math.min(Math.ceil(end), inSize); src++) {
+            const overlap = Math.min(end, src + 1) - Math.max(start, src);
+            if (overlap > 0) {
+                taps.push([src, overlap / scale]);
+            }
+        }
+        return taps;
+    });
+};
+
+/**
+ * Resizes interleaved pixels with an area (box) filter: every output pixel is
+ * the average of the source area it covers. Unlike nearest-neighbour or the
+ * browser's drawImage smoothing, thin strokes survive downscaling and the
+ * result does not depend on the platform.
+ * @param {Float32Array} pixels - Interleaved values, row-major
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} outWidth - Target width
+ * @param {number} outHeight - Target height
+ * @param {number} [channels] - Values per pixel
+ * @returns {Float32Array} Resized pixels
+ */
+export const resizeArea = (pixels, width, height, outWidth, outHeight, channels = 3) => {
+    // Separable: resize rows first, then columns
+    const xWeights = areaWeights(width, outWidth);
+    const rows = new Float32Array(height * outWidth * channels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            for (const [src, weight] of xWeights[x]) {
+                for (let c = 0; c < channels; c++) {
+                    rows[(y * outWidth + x) * channels + c] += pixels[(y * width + src) * channels + c] * weight;
+                }
+            }
+        }
+    }
+
+    const yWeights = areaWeights(height, outHeight);
+    const out = new Float32Array(outHeight * outWidth * channels);
+    for (let y = 0; y < outHeight; y++) {
+        for (const [src, weight] of yWeights[y]) {
+            for (let i = 0; i < outWidth * channels; i++) {
+                out[y * outWidth * channels + i] += rows[src * outWidth * channels + i] * weight;
+            }
+        }
+    }
+    return out;
+};
+
+/**
+ * Turns decoded RGBA pixels into model input: composite onto the background,
+ * area-resize to the input size, keep RGB and scale to [0, 1]
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels at any size
+ * @returns {Float32Array} Values in [0, 1] laid out as PREPROCESSING.inputShape
+ */
+export const preprocessPixels = (image) => {
+    const [outHeight, outWidth] = PREPROCESSING.inputShape;
+    const rgb = compositeOnBackground(image);
+    const resized = resizeArea(rgb, image.width, image.height, outWidth, outHeight);
+    for (let i = 0; i < resized.length; i++) {
+        resized[i] /= 255;
+    }
+    return resized;
+};
@@ -0,0 +1,196 @@
+/**
+ * Splits a drawing into separate objects: connected groups of ink pixels.
+ * Shared by the browser (multi-shape mode of the app and shapeDetection.mjs) and
+ * Node (predict.js --multi), and like preprocess.mjs free of dependencies.
+ * Works on RGBA or grayscale pixels ({ data, width, height }).
+ */
+
+export const SEGMENTATION_DEFAULTS = {
+    // A pixel is ink when it is at least this much darker than white (0-255, after alpha compositing)
+    inkThreshold: 64,
+    // Ink pixels this close (in pixels) belong to the same object, bridging small gaps in a stroke
+    mergeDistance: 3,
+    // Objects with fewer ink pixels than max(minPixels, minFraction * image area) are noise
+    minPixels: 10,
+    minFraction: 0.0005,
+    // Extra margin around each object when cropping, as a fraction of its larger side
+    padding: 0.15
+};
+
+/**
+ * Marks the ink pixels of an image, compositing transparent pixels onto white
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA (4 values per
+ *   pixel) or grayscale (1 value per pixel) pixels
+ * @param {number} [threshold] - Darkness (255 - luminance) at which a pixel counts as ink
+ * @returns {Uint8Array} 1 for ink, 0 for background, row-major
+ */
+export const inkMask = ({ data, width, height }, threshold = SEGMENTATION_DEFAULTS.inkThreshold) => {
+    const mask = new Uint8Array(width * height);
+    if (data.length === mask.length) {
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = 255 - data[i] >= threshold ? 1 : 0;
+        }
+        return mask;
+    }
+    if (data.length !== mask.length * 4) {
+        throw new Error(`Expected ${width}x${height} RGBA or grayscale pixels, got ${data.length} values`);
+    }
+    for (let i = 0; i < mask.length; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        const composited = luminance * alpha + 255 * (1 - alpha);
+        mask[i] = 255 - composited >= threshold ? 1 : 0;
+    }
+    return mask;
+};
+
+/**
+ * Grows a mask by `radius` pixels in every direction (a square structuring
+ * element, applied as two separable passes)
+ */
+const dilate = (mask, width, height, radius) => {
+    if (radius <= 0) {
+        return mask;
+    }
+    const rows = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let dx = Math.max(0, x - radius); dx <= Math.min(width - 1, x + radius); dx++) {
+                if (mask[y * width + dx]) {
+                    rows[y * width + x] = 1;
+                    break;
+                }
+            }
+        }
+    }
+    const out = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let dy = Math.max(0, y - radius); dy <= Math.min(height - 1, y + radius); dy++) {
+                if (rows[dy * width + x]) {
+                    out[y * width + x] = 1;
+                    break;
+                }
+            }
+        }
+    }
+    return out;
+};
+
+/**
+ * Closes a mask: grows it by `radius` pixels and shrinks it back, which fills
+ * gaps and notches narrower than about 2 * radius without thickening strokes.
+ * Pixels outside the image do not shrink the mask.
+ * @param {Uint8Array} mask - 1 for foreground, 0 for background, row-major
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {number} radius - Closing radius in pixels (square structuring element)
+ * @returns {Uint8Array} Closed mask (1/0)
+ */
+export const closeMask = (mask, width, height, radius) => {
+    if (radius <= 0) {
+        return mask.map(value => value ? 1 : 0);
+    }
+    const invert = values => values.map(value => value ? 0 : 1);
+    // Shrinking is growing the background
+    return invert(dilate(invert(dilate(mask, width, height, radius)), width, height, radius));
+};
+
+/**
+ * Finds the objects in an image. Ink pixels within mergeDistance of each other
+ * are grouped (8-connected after dilation); tiny groups are dropped as noise.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA or grayscale pixels
+ * @param {Object} [options] - Overrides of SEGMENTATION_DEFAULTS
+ * @returns {{labels: Int32Array, components: Array}} Label per pixel (0 = background) and the
+ *   kept components, in reading order: { label, bbox: { x, y, width, height }, pixels }
+ *   where the box bounds the component's ink and pixels counts it
+ */
+export const segmentComponents = (image, options = {}) => {
+    const { inkThreshold, mergeDistance, minPixels, minFraction } = { ...SEGMENTATION_DEFAULTS, ...options };
+    const { width, height } = image;
+    const ink = inkMask(image, inkThreshold);
+    const grown = dilate(ink, width, height, mergeDistance);
+
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    const found = [];
+    for (let start = 0; start < grown.length; start++) {
+        if (!grown[start] || labels[start]) {
+            continue;
+        }
+        const label = found.length + 1;
+        const component = { label, minX: width, minY: height, maxX: -1, maxY: -1, pixels: 0 };
+        let top = 0;
+        stack[top++] = start;
+        labels[start] = label;
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            const y = (index - x) / width;
+            if (ink[index]) {
+                component.pixels++;
+                component.minX = Math.min(component.minX, x);
+                component.maxX = Math.max(component.maxX, x);
+                component.minY = Math.min(component.minY, y);
+                component.maxY = Math.max(component.maxY, y);
+            }
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const next = ny * width + nx;
+                    if (grown[next] && !labels[next]) {
+                        labels[next] = label;
+                        stack[top++] = next;
+                    }
+                }
+            }
+        }
+        found.push(component);
+    }
+
+    const minimum = Math.max(minPixels, minFraction * width * height);
+    const components = found
+        .filter(c => c.pixels >= minimum)
+        .map(c => ({
+            label: c.label,
+            bbox: { x: c.minX, y: c.minY, width: c.maxX - c.minX + 1, height: c.maxY - c.minY + 1 },
+            pixels: c.pixels
+        }))
+        .sort((a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x);
+    return { labels, components };
+};
+
+/**
+ * Cuts one component out of the image as a square RGBA image centred on it,
+ * with other components and everything outside the image painted white, so
+ * it can be classified on its own like a single drawing
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA pixels
+ * @param {Int32Array} labels - Labels from segmentComponents
+ * @param {Object} component - One of the components from segmentComponents
+ * @param {number} [padding] - Margin as a fraction of the component's larger side
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Cropped RGBA pixels
+ */
+export const cropComponent = ({ data, width, height }, labels, { label, bbox }, padding = SEGMENTATION_DEFAULTS.padding) => {
+    const side = Math.max(1, Math.round(Math.max(bbox.width, bbox.height) * (1 + 2 * padding)));
+    const left = Math.round(bbox.x + bbox.width / 2 - side / 2);
+    const top = Math.round(bbox.y + bbox.height / 2 - side / 2);
+    const crop = new Uint8ClampedArray(side * side * 4).fill(255);
+
+    for (let y = 0; y < side; y++) {
+        const sy = top + y;
+        if (sy < 0 || sy >= height) {
+            continue;
+        }
+        for (let x = 0; x < side; x++) {
+            const sx = left + x;
+            if (sx < 0 || sx >= width || labels[sy * width + sx] !== label) {
+                continue;
+            }
+            const from = (sy * width + sx) * 4;
+            const to = (y * side + x) * 4;
+            for (let c = 0; c < 4; c++) {
+                crop[to + c] = data[from + c];
+            }
+        }
+    }
+    return { data: crop, width: side, height: side };
+};
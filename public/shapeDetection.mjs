@@ -0,0 +1,1208 @@
+/**
+ * Shape Detector using Computer Vision techniques
+ * Pure JavaScript implementation without external dependencies
+ *
+ * Works on pixel buffers ({ data, width, height }, RGBA or grayscale), so the
+ * same code runs in the browser (through the canvas wrapper in
+ * shapeDetector.js) and in Node (predict.js --cv). Instead of drawing, it
+ * describes its debug overlay as a list of shapes to draw.
+ */
+
+import { SEGMENTATION_DEFAULTS, inkMask, closeMask, segmentComponents } from './segmentation.mjs';
+
+// Default configuration of the detector; detectShape and detectShapes take overrides per call
+const CONFIG = {
+    // Edge detection
+    cannyThreshold1: 10,
+    cannyThreshold2: 50,
+
+    // Circle detection
+    circleMinRadius: 10,
+    circleMaxRadius: 100,
+
+    // Triangle detection
+    triangleMinArea: 30,
+    triangleCorners: 3,
+
+    // Shape classification
+    // approxPolyDP epsilon for corners, as a fraction of the convex hull perimeter
+    polygonTolerance: 0.03,
+    // Straightness (see classifyContour) from which an outline counts as a polygon rather than a curve
+    polygonStraightness: 0.5,
+    // Minimum solidity (filled area / hull area) of a convex shape; stars and arrows are below it
+    convexSolidity: 0.8,
+    // Width / length of the minimum-area bounding box below which a stroke is a line
+    lineAspectRatio: 0.12,
+    // Largest average deviation from 90° (degrees) of a square or rectangle corner
+    rightAngleTolerance: 20,
+    // Aspect ratios between which a polygon goes from elongated (rectangle) to even (square)
+    elongatedAspectRatio: 0.7,
+    evenAspectRatio: 0.9,
+    // The same for curves (ellipse to circle): hand-drawn circles are often squashed to 0.7
+    ellipseAspectRatio: 0.5,
+    circleAspectRatio: 0.65,
+    // Score below which the result is 'unknown' rather than the best match
+    minConfidence: 0.5,
+
+    // Gap closing (see closeGaps)
+    // Radius in pixels of the morphological closing that fills small breaks in a stroke
+    closingRadius: 2,
+    // Stroke ends at most this far apart, as a fraction of the drawing's larger side, are joined
+    maxGap: 0.25,
+
+    // General
+    // Darkness (0-255) at which a pixel counts as ink (see inkMask in segmentation.mjs)
+    inkThreshold: SEGMENTATION_DEFAULTS.inkThreshold,
+    contourMinArea: 20,
+    debug: true
+};
+
+/**
+ * Checks detector options, e.g. ones loaded from a tuned JSON file (see tuneDetector.js)
+ * @param {Object} options - Overrides of CONFIG
+ * @returns {Object} The same options
+ * @throws {Error} On keys CONFIG does not have and on values of the wrong type
+ */
+function validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Detector options must be an object');
+    }
+    Object.entries(options).forEach(([key, value]) => {
+        if (!(key in CONFIG)) {
+            throw new Error(`Unknown detector option: ${key}`);
+        }
+        if (typeof value !== typeof CONFIG[key] || (typeof value === 'number' && !Number.isFinite(value))) {
+            throw new Error(`Detector option ${key} must be a ${typeof CONFIG[key]}`);
+        }
+    });
+    return options;
+}
+
+/**
+ * Reads the options out of a file written by tuneDetector.js:
+ * { options: { ...overrides of CONFIG }, tuning: { ...how they were found } }
+ * @param {Object} json - Parsed file
+ * @returns {Object} Checked options (see validateOptions)
+ */
+function optionsFromTuning(json) {
+    if (!json || typeof json.options !== 'object') {
+        throw new Error('Expected tuned detector options: { "options": { ... } }');
+    }
+    return validateOptions(json.options);
+}
+
+/**
+ * Marks the ink of an RGBA or grayscale image as 255 (background 0), the form
+ * findContours expects. Ink is dark on a light or transparent background.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - Pixels
+ * @param {number} inkThreshold - Darkness at which a pixel counts as ink
+ * @returns {Uint8Array} Binary image
+ */
+function toBinary(image, inkThreshold) {
+    return inkMask(image, inkThreshold).map(ink => ink ? 255 : 0);
+}
+
+/**
+ * Detects the shape in an image that holds one drawing
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA (4 values per
+ *   pixel) or grayscale (1 value per pixel) pixels, e.g. canvas ImageData or decoded sharp output
+ * @param {Object} [options] - Overrides of CONFIG, plus:
+ * @param {boolean} [options.overlay] - Describe the debug overlay (default CONFIG.debug)
+ * @returns {Object} { shape, confidence, metrics, polygon, centroid, closure, message } plus
+ *   overlay: a list of items to draw over the image (see drawing items below); shape is one of
+ *   SHAPES or 'unknown' and closure describes the gaps that were closed (see closeGaps)
+ *
+ * Overlay items, in image coordinates:
+ *   { type: 'path', points: [[x, y], ...], closed, color, lineWidth }
+ *   { type: 'dot', x, y, radius, color }
+ *   { type: 'box', x, y, width, height, color, label }
+ */
+function detectShape(image, { overlay: withOverlay, ...options } = {}) {
+    const { width, height } = image;
+    const config = { ...CONFIG, ...options };
+    withOverlay = withOverlay ?? config.debug;
+
+    // Close the gaps in the strokes, then find their borders and those of the holes they enclose
+    const { binary, closure, bridges } = closeGaps(toBinary(image, config.inkThreshold), width, height, config);
+    const contours = findContours(binary, width, height);
+    const overlay = [];
+
+    // Draw all contours and the bridged gaps for debugging
+    contours.forEach(({ points, hole }) => {
+        overlay.push({ type: 'path', points, closed: true, color: hole ? 'orange' : 'blue', lineWidth: 1 });
+    });
+    bridges.forEach(points => {
+        overlay.push({ type: 'path', points, closed: false, color: 'red', lineWidth: 2 });
+    });
+
+    // The image holds one shape, which can consist of several separate strokes
+    const outline = outlineOf(contours);
+    if (outline.outers.flat().length <= config.contourMinArea) {
+        return {
+            shape: 'unknown',
+            confidence: 0,
+            metrics: null,
+            closure,
+            ...(withOverlay ? { overlay } : {}),
+            message: 'No valid contours found'
+        };
+    }
+
+    // The outer border enclosing the most area
+    const mainContour = outline.outers.reduce((prev, current) =>
+        calculateContourArea(current) > calculateContourArea(prev) ? current : prev);
+    overlay.push({ type: 'path', points: mainContour, closed: true, color: 'lime', lineWidth: 2 });
+
+    const { shape, confidence, metrics, polygon, centroid } = classifyContour(outline, config);
+
+    // The centroid and the approximated polygon
+    overlay.push({ type: 'dot', x: centroid.x, y: centroid.y, radius: 4, color: 'blue' });
+    if (polygon.length > 0) {
+        overlay.push({ type: 'path', points: polygon, closed: true, color: 'purple', lineWidth: 2 });
+    }
+
+    return {
+        shape,
+        confidence,
+        metrics,
+        polygon,
+        centroid,
+        closure,
+        ...(withOverlay ? { overlay } : {}),
+        message: `Detected ${shape} with confidence ${(confidence * 100).toFixed(1)}%`
+    };
+}
+
+/**
+ * Detects every shape in an image: the drawing is split into connected
+ * objects (see segmentation.mjs) and the contours of each are classified
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image - RGBA or grayscale pixels
+ * @param {Object} [options] - Overrides of SEGMENTATION_DEFAULTS and CONFIG, plus overlay (see detectShape)
+ * @returns {Object} { objects: [{ bbox, shape, confidence, metrics, closure }], message } plus overlay
+ */
+function detectShapes(image, { overlay: withOverlay, ...options } = {}) {
+    const config = { ...CONFIG, ...options };
+    withOverlay = withOverlay ?? config.debug;
+    const { labels, components } = segmentComponents(image, { ...options, inkThreshold: config.inkThreshold });
+    const ink = inkMask(image, config.inkThreshold);
+
+    const objects = components.map(component => {
+        const { x, y, width, height } = component.bbox;
+        // The object's own ink with a border wide enough for the closing and for
+        // bridges through corners outside its box
+        const margin = Math.max(1, config.closingRadius + 1) + Math.ceil(config.maxGap * Math.max(width, height));
+        const localWidth = width + 2 * margin;
+        const localHeight = height + 2 * margin;
+        const binary = new Uint8Array(localWidth * localHeight);
+        for (let ly = 0; ly < height; ly++) {
+            for (let lx = 0; lx < width; lx++) {
+                const index = (y + ly) * image.width + (x + lx);
+                if (ink[index] && labels[index] === component.label) {
+                    binary[(ly + margin) * localWidth + lx + margin] = 255;
+                }
+            }
+        }
+
+        const { binary: closed, closure } = closeGaps(binary, localWidth, localHeight, config);
+        const outline = outlineOf(findContours(closed, localWidth, localHeight));
+        if (outline.outers.flat().length <= config.contourMinArea) {
+            return { bbox: component.bbox, shape: 'unknown', confidence: 0, metrics: null, closure };
+        }
+        const { shape, confidence, metrics } = classifyContour(outline, config);
+        return { bbox: component.bbox, shape, confidence, metrics, closure };
+    });
+
+    return {
+        objects,
+        ...(withOverlay ? { overlay: detectionOverlay(objects) } : {}),
+        message: `Detected ${objects.length} shape${objects.length === 1 ? '' : 's'}`
+    };
+}
+
+/**
+ * Describes labeled bounding boxes for a list of detections, from this
+ * detector or from the model
+ * @param {Array} objects - Detections: { bbox, shape, confidence }
+ * @returns {Array} Overlay items (see detectShape)
+ */
+function detectionOverlay(objects) {
+    return objects.map(({ bbox, shape, confidence }) => ({
+        type: 'box',
+        ...bbox,
+        color: 'lime',
+        label: `${shape} ${Math.round(confidence * 100)}%`
+    }));
+}
+
+/**
+ * Picks the outline of a drawing out of its borders (see findContours): the
+ * outer borders no other border encloses, and the holes directly inside them.
+ * Shapes drawn inside a hole are left out.
+ * @param {Array} contours - Borders from findContours
+ * @returns {{outers: Array, holes: Array}} Points of the outer and of the hole borders
+ */
+function outlineOf(contours) {
+    const outers = contours.filter(({ hole, parent }) => !hole && parent === -1);
+    const holes = contours.filter(({ hole, parent }) => hole && contours[parent].parent === -1);
+    return { outers: outers.map(({ points }) => points), holes: holes.map(({ points }) => points) };
+}
+
+/**
+ * Classifies one outline from its geometry: the corners of its convex hull,
+ * how much of the hull it fills, the regularity of its sides and angles and
+ * the aspect ratio of its minimum-area bounding box
+ * @param {{outers: Array, holes: Array}} outline - Ordered outer and hole borders (see outlineOf)
+ * @param {Object} config - Detector configuration (see CONFIG)
+ * @returns {Object} { shape, confidence, metrics, polygon, centroid } where shape is one of
+ *   SHAPES or 'unknown', polygon the hull's corners and centroid the border's mean point
+ */
+function classifyContour({ outers, holes }, config) {
+    const points = outers.flat();
+    const hull = calculateConvexHull(points.slice());
+    const hullArea = calculateContourArea(hull);
+    const box = calculateMinAreaRect(hull);
+    const polygon = approxClosedPolygon(hull, config.polygonTolerance * calculateContourPerimeter(hull));
+
+    // The borders are in boundary order, so the shoelace formula gives the
+    // area inside them: an outlined shape encloses its holes, a filled one does not
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const area = sum(outers.map(calculateContourArea));
+    const holeArea = sum(holes.map(calculateContourArea));
+    // Measured along the border simplified to within a pixel, since the steps between
+    // neighbouring pixels make a slanted or curved border about 5% too long
+    const perimeter = sum(outers.map(border => calculateContourPerimeter(approxClosedPolygon(border, 1))));
+
+    const metrics = {
+        area,
+        perimeter,
+        circularity: perimeter > 0 ? Math.min(1, calculateCircularity(area, perimeter)) : 0,
+        solidity: hullArea > 0 ? Math.min(1, area / hullArea) : 0,
+        // Part of the area that is enclosed rather than ink: close to 1 for an outline, 0 when filled
+        holeFraction: area > 0 ? Math.min(1, holeArea / area) : 0,
+        numCorners: polygon.length,
+        // How much more of the hull the corner polygon covers than the polygon with
+        // as many corners inscribed in a circle would cover of that circle: 1 for
+        // straight sides, around 0 for a curve
+        straightness: calculateStraightness(polygon, hullArea),
+        aspectRatio: box.length > 0 ? box.width / box.length : 0,
+        // Area of the hull relative to the ellipse inscribed in its bounding box
+        ellipseFit: box.length > 0 ? hullArea / (Math.PI / 4 * box.length * box.width) : 0,
+        sideRegularity: calculateSideRegularity(polygon),
+        angleRegularity: calculateAngleRegularity(polygon),
+        rightAngleDeviation: polygon.length === 4 ? averageRightAngleDeviation(polygon) : null
+    };
+
+    const scores = scoreShapes(metrics, hull, box, config);
+    const [shape, score] = Object.entries(scores).reduce((best, entry) => entry[1] > best[1] ? entry : best, ['unknown', 0]);
+    const known = score >= config.minConfidence;
+
+    return {
+        shape: known ? shape : 'unknown',
+        confidence: known ? Math.min(1, score) : 0,
+        metrics,
+        polygon,
+        centroid: calculateCentroid(points)
+    };
+}
+
+// Shapes classifyContour can recognize
+const SHAPES = [
+    'line', 'triangle', 'square', 'rectangle', 'rhombus', 'pentagon', 'hexagon',
+    'circle', 'ellipse', 'star', 'arrow'
+];
+
+/**
+ * 1 when value equals target, falling linearly to 0 at target ± tolerance
+ */
+function closeness(value, target, tolerance) {
+    return Math.max(0, 1 - Math.abs(value - target) / tolerance);
+}
+
+/**
+ * 0 for an aspect ratio up to elongated, 1 from even on, linear in between
+ */
+function evenness(aspectRatio, elongated, even) {
+    return Math.min(1, Math.max(0, (aspectRatio - elongated) / (even - elongated)));
+}
+
+/**
+ * Scores how well the measured features fit each shape
+ * @param {Object} metrics - Features from classifyContour
+ * @param {Array} hull - Convex hull of the contour
+ * @param {Object} box - Minimum-area bounding box of the hull
+ * @param {Object} config - Detector configuration (see CONFIG)
+ * @returns {Object} Score between 0 and 1 per shape in SHAPES
+ */
+function scoreShapes(metrics, hull, box, config) {
+    const scores = Object.fromEntries(SHAPES.map(shape => [shape, 0]));
+    const { solidity, numCorners, straightness, aspectRatio, ellipseFit, sideRegularity, angleRegularity } = metrics;
+
+    scores.line = closeness(aspectRatio, 0, 2 * config.lineAspectRatio);
+    if (aspectRatio < config.lineAspectRatio) {
+        return scores;
+    }
+
+    if (solidity >= config.convexSolidity) {
+        if (straightness >= config.polygonStraightness) {
+            // Straight sides: named by the number of corners
+            const fit = straightness;
+            const regularity = (sideRegularity + angleRegularity) / 2;
+            if (numCorners === 3) {
+                scores.triangle = fit;
+            } else if (numCorners === 4) {
+                const rightAngles = closeness(metrics.rightAngleDeviation, 0, config.rightAngleTolerance);
+                const squareness = evenness(aspectRatio, config.elongatedAspectRatio, config.evenAspectRatio);
+                scores.square = fit * rightAngles * squareness;
+                scores.rectangle = fit * rightAngles * (1 - squareness);
+                scores.rhombus = fit * sideRegularity * (1 - rightAngles);
+            } else if (numCorners === 5) {
+                scores.pentagon = fit * (0.5 + 0.5 * regularity);
+            } else if (numCorners === 6) {
+                scores.hexagon = fit * (0.5 + 0.5 * regularity);
+            }
+        } else {
+            // Curved outline: a circle or ellipse fills the ellipse inscribed in its bounding box
+            const fit = closeness(ellipseFit, 1, 0.3) * (1 - straightness);
+            const roundness = evenness(aspectRatio, config.ellipseAspectRatio, config.circleAspectRatio);
+            scores.circle = fit * roundness;
+            scores.ellipse = fit * (1 - roundness);
+        }
+        return scores;
+    }
+
+    // Concave: a star's points lie on a circle around its centre and it
+    // encloses far more area than its strokes cover
+    const tips = approxClosedPolygon(hull, config.polygonTolerance * calculateContourPerimeter(hull));
+    if (tips.length >= 5 && tips.length <= 8 && metrics.holeFraction > 0.5) {
+        const centre = calculateCentroid(tips);
+        const radii = tips.map(([x, y]) => Math.hypot(x - centre.x, y - centre.y));
+        scores.star = closeness(coefficientOfVariation(radii), 0, 0.3) *
+            closeness(aspectRatio, 1, 0.4) *
+            closeness(solidity, 0.5, 0.4);
+    }
+    scores.arrow = scoreArrow(hull, box);
+    return scores;
+}
+
+/**
+ * Scores how arrow-like a concave outline is: longer than wide, with a tip at
+ * one end of its longest chord and two barbs of similar width behind the tip,
+ * wider than the tail
+ * @param {Array} hull - Convex hull of the contour
+ * @param {Object} box - Minimum-area bounding box of the hull
+ * @returns {number} Score between 0 and 1
+ */
+function scoreArrow(hull, box) {
+    if (box.width / box.length > 0.8) {
+        return 0;
+    }
+    // The longest chord runs from the tail to the tip
+    let from = hull[0];
+    let to = hull[0];
+    hull.forEach(a => hull.forEach(b => {
+        if (Math.hypot(b[0] - a[0], b[1] - a[1]) > Math.hypot(to[0] - from[0], to[1] - from[1])) {
+            from = a;
+            to = b;
+        }
+    }));
+    const length = Math.hypot(to[0] - from[0], to[1] - from[1]);
+    if (length === 0) {
+        return 0;
+    }
+    // Position along the chord (0 to 1) and signed distance from it, in chord lengths
+    const ux = (to[0] - from[0]) / length;
+    const uy = (to[1] - from[1]) / length;
+    const projected = hull.map(([x, y]) => ({
+        t: ((x - from[0]) * ux + (y - from[1]) * uy) / length,
+        s: ((y - from[1]) * ux - (x - from[0]) * uy) / length
+    }));
+    const widest = (side) => projected
+        .filter(p => Math.sign(p.s) === side)
+        .reduce((best, p) => Math.abs(p.s) > Math.abs(best.s) ? p : best, { t: 0.5, s: 0 });
+    const left = widest(-1);
+    const right = widest(1);
+    if (left.s === 0 || right.s === 0) {
+        return 0;
+    }
+
+    // The barbs sit behind the tip, on the same side of the middle
+    const tip = left.t > 0.5 && right.t > 0.5 ? 1 : (left.t < 0.5 && right.t < 0.5 ? 0 : null);
+    if (tip === null) {
+        return 0;
+    }
+    const tail = projected.filter(p => Math.abs(tip - p.t) > 0.8).map(p => p.s);
+    if (Math.max(...tail) - Math.min(...tail) > 0.7 * (right.s - left.s)) {
+        return 0;
+    }
+    const barbs = Math.max(Math.abs(tip - left.t), Math.abs(tip - right.t));
+    const balance = Math.min(-left.s, right.s) / Math.max(-left.s, right.s);
+    return closeness(balance, 1, 1) * closeness(barbs, 0.3, 0.4);
+}
+
+/**
+ * Closes breaks in hand-drawn strokes. A morphological closing (closingRadius)
+ * fills small breaks; then stroke ends that are near each other but far apart
+ * along the stroke, like the two ends of an open circle, are joined by a
+ * bridge as wide as the stroke. Where the strokes, continued in the direction
+ * they end in, meet close by (a corner left open), the bridge goes through
+ * that point; otherwise it is straight.
+ * @param {Uint8Array} binary - Binary image data (non-zero is ink)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} config - Detector configuration (see CONFIG)
+ * @returns {Object} { binary, closure, bridges }: the closed image (1 for ink), the bridges
+ *   as [[x, y], ...] paths, and closure: { wasClosed, closed, filled, bridges, gap, changed }
+ *   where wasClosed and closed tell whether the strokes enclosed an area before and after,
+ *   filled whether the morphological closing alone made them enclose one, bridges counts the
+ *   joined gaps, gap is the widest gap in pixels (a bridge's length, or twice the smallest
+ *   closing radius that fills it; 0 when nothing was open) and changed is the share of the
+ *   final ink that closing added
+ */
+function closeGaps(binary, width, height, config) {
+    const closed = closeMask(binary, width, height, config.closingRadius);
+    const wasClosed = enclosesArea(binary, width, height, config.contourMinArea);
+    // A closing of radius r fills breaks up to about 2r wide: the smallest one that
+    // encloses an area estimates the gap it filled
+    let filledGap = 0;
+    for (let radius = 1; !wasClosed && !filledGap && radius <= config.closingRadius; radius++) {
+        const candidate = radius === config.closingRadius ? closed : closeMask(binary, width, height, radius);
+        if (enclosesArea(candidate, width, height, config.contourMinArea)) {
+            filledGap = 2 * radius;
+        }
+    }
+    const skeleton = thinStrokes(closed, width, height);
+
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    let inkPixels = 0;
+    let skeletonPixels = 0;
+    const ends = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            if (closed[index]) {
+                inkPixels++;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+            if (skeleton[index]) {
+                skeletonPixels++;
+                if (countNeighbours(skeleton, width, height, x, y) <= 1) {
+                    ends.push([x, y]);
+                }
+            }
+        }
+    }
+    const maxGap = config.maxGap * Math.max(0, maxX - minX + 1, maxY - minY + 1);
+    // Average stroke width: ink per pixel of stroke length
+    const radius = Math.max(1, Math.round(inkPixels / Math.max(1, skeletonPixels) / 2));
+
+    const pairs = [];
+    ends.forEach((a, i) => ends.slice(i + 1).forEach(b => {
+        const distance = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        if (distance <= maxGap) {
+            pairs.push({ a, b, distance });
+        }
+    }));
+    pairs.sort((p, q) => p.distance - q.distance);
+
+    // Ends that are also close along the stroke are the sides of a corner or
+    // a spur of the thinning, not a gap
+    const stepsFrom = new Map();
+    const stepsFromEnd = (end) => {
+        if (!stepsFrom.has(end)) {
+            stepsFrom.set(end, strokeDistances(skeleton, width, height, end));
+        }
+        return stepsFrom.get(end);
+    };
+    const stepsAlongStroke = (a, b) => {
+        const steps = stepsFromEnd(a)[b[1] * width + b[0]];
+        return steps < 0 ? Infinity : steps;
+    };
+    // The direction a stroke ends in, from a pixel a few steps back along it
+    const direction = (end) => {
+        const steps = stepsFromEnd(end);
+        let back = end;
+        let backSteps = 0;
+        steps.forEach((count, index) => {
+            if (count > backSteps && count <= STROKE_DIRECTION_STEPS) {
+                backSteps = count;
+                back = [index % width, Math.floor(index / width)];
+            }
+        });
+        return [end[0] - back[0], end[1] - back[1]];
+    };
+    const joined = new Set();
+    const bridges = [];
+    pairs.forEach(({ a, b, distance }) => {
+        if (joined.has(a) || joined.has(b) || stepsAlongStroke(a, b) < 2 * distance) {
+            return;
+        }
+        joined.add(a);
+        joined.add(b);
+        const corner = rayIntersection(a, direction(a), b, direction(b), maxGap);
+        const points = corner ? [a, corner, b] : [a, b];
+        bridges.push({ points, distance });
+        points.slice(1).forEach((point, i) => drawThickLine(closed, width, height, points[i], point, radius));
+    });
+
+    let finalPixels = 0;
+    let added = 0;
+    closed.forEach((ink, index) => {
+        if (ink) {
+            finalPixels++;
+            if (!binary[index]) {
+                added++;
+            }
+        }
+    });
+
+    return {
+        binary: closed,
+        bridges: bridges.map(({ points }) => points),
+        closure: {
+            wasClosed,
+            closed: enclosesArea(closed, width, height, config.contourMinArea),
+            filled: filledGap > 0,
+            bridges: bridges.length,
+            gap: bridges.reduce((widest, { distance }) => Math.max(widest, distance), filledGap),
+            changed: finalPixels > 0 ? added / finalPixels : 0
+        }
+    };
+}
+
+/**
+ * Where two rays meet, if they do within `reach` of both starting points
+ * @param {Array} a - Start of the first ray [x, y]
+ * @param {Array} da - Its direction
+ * @param {Array} b - Start of the second ray
+ * @param {Array} db - Its direction
+ * @param {number} reach - Largest distance from either start
+ * @returns {Array|null} Intersection [x, y] rounded to pixels, or null
+ */
+function rayIntersection(a, da, b, db, reach) {
+    const cross = da[0] * db[1] - da[1] * db[0];
+    const lengthA = Math.hypot(da[0], da[1]);
+    const lengthB = Math.hypot(db[0], db[1]);
+    // Parallel or (nearly) opposite directions continue each other: no corner
+    if (lengthA === 0 || lengthB === 0 || Math.abs(cross) < 0.2 * lengthA * lengthB) {
+        return null;
+    }
+    const [ox, oy] = [b[0] - a[0], b[1] - a[1]];
+    const t = (ox * db[1] - oy * db[0]) / cross;
+    const s = (ox * da[1] - oy * da[0]) / cross;
+    if (t <= 0 || s <= 0 || t * lengthA > reach || s * lengthB > reach) {
+        return null;
+    }
+    return [Math.round(a[0] + t * da[0]), Math.round(a[1] + t * da[1])];
+}
+
+/**
+ * Whether the foreground of a binary image encloses a hole of at least minArea pixels
+ */
+function enclosesArea(binary, width, height, minArea) {
+    return findContours(binary, width, height).some(({ points, hole }) => hole && calculateContourArea(points) >= minArea);
+}
+
+// Number of foreground pixels among the 8 neighbours of (x, y)
+function countNeighbours(mask, width, height, x, y) {
+    let count = 0;
+    for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+            if ((nx !== x || ny !== y) && mask[ny * width + nx]) {
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+/**
+ * Thins strokes to one pixel wide lines along their middle (Zhang-Suen thinning)
+ * @param {Uint8Array} mask - Binary image data (non-zero is foreground)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} Skeleton (1/0)
+ */
+function thinStrokes(mask, width, height) {
+    const skeleton = mask.map(value => value ? 1 : 0);
+    const remove = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let pass = 0; pass < 2; pass++) {
+            remove.length = 0;
+            for (let y = 1; y < height - 1; y++) {
+                for (let x = 1; x < width - 1; x++) {
+                    const index = y * width + x;
+                    if (!skeleton[index]) {
+                        continue;
+                    }
+                    // Neighbours clockwise from north
+                    const p = [
+                        skeleton[index - width], skeleton[index - width + 1], skeleton[index + 1],
+                        skeleton[index + width + 1], skeleton[index + width], skeleton[index + width - 1],
+                        skeleton[index - 1], skeleton[index - width - 1]
+                    ];
+                    const neighbours = p.reduce((sum, value) => sum + value, 0);
+                    const transitions = p.filter((value, i) => !value && p[(i + 1) % 8]).length;
+                    if (neighbours < 2 || neighbours > 6 || transitions !== 1) {
+                        continue;
+                    }
+                    const [north, , east, , south, , west] = p;
+                    const keep = pass === 0
+                        ? (north && east && south) || (east && south && west)
+                        : (north && east && west) || (north && south && west);
+                    if (!keep) {
+                        remove.push(index);
+                    }
+                }
+            }
+            remove.forEach(index => {
+                skeleton[index] = 0;
+            });
+            changed = changed || remove.length > 0;
+        }
+    }
+    return skeleton;
+}
+
+/**
+ * Counts the steps along a skeleton from one of its pixels to every other
+ * (breadth-first, 8-connected)
+ * @returns {Int32Array} Steps per pixel, -1 where the skeleton does not lead
+ */
+function strokeDistances(skeleton, width, height, [startX, startY]) {
+    const steps = new Int32Array(width * height).fill(-1);
+    const queue = [startY * width + startX];
+    steps[queue[0]] = 0;
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        const x = index % width;
+        const y = (index - x) / width;
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                const next = ny * width + nx;
+                if (skeleton[next] && steps[next] < 0) {
+                    steps[next] = steps[index] + 1;
+                    queue.push(next);
+                }
+            }
+        }
+    }
+    return steps;
+}
+
+// Draws a straight line into a mask, filling every pixel within `radius` of it
+function drawThickLine(mask, width, height, [x1, y1], [x2, y2], radius) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1)));
+    for (let i = 0; i <= steps; i++) {
+        const cx = Math.round(x1 + (x2 - x1) * i / steps);
+        const cy = Math.round(y1 + (y2 - y1) * i / steps);
+        for (let y = Math.max(0, cy - radius); y <= Math.min(height - 1, cy + radius); y++) {
+            for (let x = Math.max(0, cx - radius); x <= Math.min(width - 1, cx + radius); x++) {
+                if ((x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) {
+                    mask[y * width + x] = 1;
+                }
+            }
+        }
+    }
+}
+
+// Steps back along a stroke from its end to the pixel its direction is measured from
+const STROKE_DIRECTION_STEPS = 10;
+
+// 8-neighbourhood in clockwise order (y points down), starting east
+const NEIGHBOURS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+/**
+ * Finds the borders of the foreground of a binary image by border following
+ * (Suzuki and Abe, 1985): the outer border of every 8-connected group of
+ * foreground pixels and the border of every hole in it, each as its pixels
+ * in boundary order
+ * @param {Uint8Array} binary - Binary image data (non-zero is foreground)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array} Borders: { points: [[x, y], ...], hole, parent } where hole tells a hole
+ *   border from an outer one and parent is the index of the enclosing border (-1 for none):
+ *   the outer border around a hole, or the hole around a nested outer border
+ */
+function findContours(binary, width, height) {
+    // Labels with a frame of background around the image: 1 for unvisited
+    // foreground, then the border number, negated at pixels where a border
+    // ends on its right
+    const stride = width + 2;
+    const labels = new Int32Array(stride * (height + 2));
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            labels[(y + 1) * stride + x + 1] = binary[y * width + x] ? 1 : 0;
+        }
+    }
+    const offsets = NEIGHBOURS.map(([dx, dy]) => dy * stride + dx);
+
+    // Border 1 is the frame, which counts as a hole
+    const borders = [null, { hole: true, parent: 0 }];
+    const contours = [];
+
+    for (let y = 1; y <= height; y++) {
+        let lastBorder = 1;
+        for (let x = 1; x <= width; x++) {
+            const index = y * stride + x;
+            const value = labels[index];
+            let from;
+            let hole;
+            if (value === 1 && labels[index - 1] === 0) {
+                hole = false;
+                from = index - 1;
+            } else if (value >= 1 && labels[index + 1] === 0) {
+                hole = true;
+                from = index + 1;
+                if (value > 1) {
+                    lastBorder = value;
+                }
+            }
+
+            if (from !== undefined) {
+                const number = borders.length;
+                // The border met last encloses the new one, or is its sibling
+                const last = borders[lastBorder];
+                const parent = hole === last.hole ? last.parent : lastBorder;
+                borders.push({ hole, parent });
+                contours.push({
+                    points: followBorder(labels, stride, offsets, index, from, number),
+                    hole,
+                    parent: parent > 1 ? parent - 2 : -1
+                });
+            }
+
+            const label = labels[index];
+            if (label !== 0 && label !== 1) {
+                lastBorder = Math.abs(label);
+            }
+        }
+    }
+
+    return contours;
+}
+
+/**
+ * Follows one border from its starting pixel, labelling its pixels with the
+ * border's number (see findContours)
+ * @param {Int32Array} labels - Framed labels, updated in place
+ * @param {number} stride - Width of a framed row
+ * @param {number[]} offsets - Index offsets of NEIGHBOURS
+ * @param {number} start - Index of the starting pixel
+ * @param {number} from - Index of the background pixel next to it the border was found from
+ * @param {number} number - Border number
+ * @returns {Array} Border pixels as [x, y] points, in image coordinates
+ */
+function followBorder(labels, stride, offsets, start, from, number) {
+    const toPoint = index => [index % stride - 1, Math.floor(index / stride) - 1];
+    const direction = (centre, neighbour) => offsets.indexOf(neighbour - centre);
+
+    // The first foreground neighbour clockwise from where the border was found
+    const fromDirection = direction(start, from);
+    let first = -1;
+    for (let k = 0; k < 8 && first < 0; k++) {
+        const neighbour = start + offsets[(fromDirection + k) % 8];
+        if (labels[neighbour] !== 0) {
+            first = neighbour;
+        }
+    }
+    if (first < 0) {
+        // A single pixel
+        labels[start] = -number;
+        return [toPoint(start)];
+    }
+
+    const points = [];
+    let previous = first;
+    let current = start;
+    for (;;) {
+        points.push(toPoint(current));
+
+        // The next border pixel, counterclockwise from the previous one
+        const previousDirection = direction(current, previous);
+        let next = -1;
+        let eastIsBackground = false;
+        for (let k = 1; k <= 8 && next < 0; k++) {
+            const d = (previousDirection - k + 8) % 8;
+            if (labels[current + offsets[d]] !== 0) {
+                next = current + offsets[d];
+            } else if (d === 0) {
+                eastIsBackground = true;
+            }
+        }
+
+        if (eastIsBackground) {
+            labels[current] = -number;
+        } else if (labels[current] === 1) {
+            labels[current] = number;
+        }
+
+        if (next === start && current === first) {
+            return points;
+        }
+        previous = current;
+        current = next;
+    }
+}
+
+/**
+ * Calculates the area of a contour using the Shoelace formula
+ * @param {Array} contour - Array of [x,y] points
+ * @returns {number} Area of the contour
+ */
+function calculateContourArea(contour) {
+    let area = 0;
+    const n = contour.length;
+
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        area += contour[i][0] * contour[j][1];
+        area -= contour[j][0] * contour[i][1];
+    }
+
+    return Math.abs(area / 2);
+}
+
+/**
+ * Calculates the perimeter of a contour
+ * @param {Array} contour - Array of [x,y] points
+ * @returns {number} Perimeter of the contour
+ */
+function calculateContourPerimeter(contour) {
+    let perimeter = 0;
+    const n = contour.length;
+
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        const dx = contour[j][0] - contour[i][0];
+        const dy = contour[j][1] - contour[i][1];
+        perimeter += Math.sqrt(dx * dx + dy * dy);
+    }
+
+    return perimeter;
+}
+
+/**
+ * Calculates the circularity of a contour (1 for perfect circle)
+ * @param {number} area - Area of the contour
+ * @param {number} perimeter - Perimeter of the contour
+ * @returns {number} Circularity measure (0-1)
+ */
+function calculateCircularity(area, perimeter) {
+    return (4 * Math.PI * area) / (perimeter * perimeter);
+}
+
+/**
+ * Calculates the centroid of a contour
+ * @param {Array} contour - Array of [x,y] points
+ * @returns {Object} Centroid coordinates {x, y}
+ */
+function calculateCentroid(contour) {
+    let sumX = 0;
+    let sumY = 0;
+
+    for (let i = 0; i < contour.length; i++) {
+        sumX += contour[i][0];
+        sumY += contour[i][1];
+    }
+
+    return {
+        x: sumX / contour.length,
+        y: sumY / contour.length
+    };
+}
+
+/**
+ * Calculates the convex hull of a contour using Graham scan
+ * @param {Array} contour - Array of [x,y] points
+ * @returns {Array} Convex hull as array of [x,y] points
+ */
+function calculateConvexHull(contour) {
+    // Find the point with the lowest y-coordinate (and leftmost if tied)
+    let start = 0;
+    for (let i = 1; i < contour.length; i++) {
+        if (contour[i][1] < contour[start][1] ||
+            (contour[i][1] === contour[start][1] && contour[i][0] < contour[start][0])) {
+            start = i;
+        }
+    }
+
+    // Swap the start point to the beginning
+    [contour[0], contour[start]] = [contour[start], contour[0]];
+
+    // Sort points by polar angle with respect to the start point
+    const startPoint = contour[0];
+    const sortedPoints = contour.slice(1).sort((a, b) => {
+        const angleA = Math.atan2(a[1] - startPoint[1], a[0] - startPoint[0]);
+        const angleB = Math.atan2(b[1] - startPoint[1], b[0] - startPoint[0]);
+        // Collinear points nearest first, so the scan keeps the farthest
+        return angleA - angleB ||
+            Math.hypot(a[0] - startPoint[0], a[1] - startPoint[1]) - Math.hypot(b[0] - startPoint[0], b[1] - startPoint[1]);
+    });
+
+    // Graham scan algorithm
+    const hull = [startPoint, sortedPoints[0]];
+
+    for (let i = 1; i < sortedPoints.length; i++) {
+        while (hull.length > 1 && !isCounterClockwise(
+            hull[hull.length - 2],
+            hull[hull.length - 1],
+            sortedPoints[i])) {
+            hull.pop();
+        }
+        hull.push(sortedPoints[i]);
+    }
+
+    return hull;
+}
+
+/**
+ * Checks if three points make a counter-clockwise turn
+ * @param {Array} p1 - First point [x,y]
+ * @param {Array} p2 - Second point [x,y]
+ * @param {Array} p3 - Third point [x,y]
+ * @returns {boolean} True if counter-clockwise
+ */
+function isCounterClockwise(p1, p2, p3) {
+    return (p2[0] - p1[0]) * (p3[1] - p1[1]) - (p2[1] - p1[1]) * (p3[0] - p1[0]) > 0;
+}
+
+/**
+ * Approximates a polygon with fewer points (Douglas-Peucker algorithm)
+ * @param {Array} contour - Array of [x,y] points
+ * @param {number} epsilon - Maximum distance from point to line
+ * @returns {Array} Simplified contour
+ */
+function approxPolyDP(contour, epsilon) {
+    if (contour.length <= 2) {
+        return contour;
+    }
+
+    // Find the point with the maximum distance from the line
+    let maxDist = 0;
+    let index = 0;
+
+    const firstPoint = contour[0];
+    const lastPoint = contour[contour.length - 1];
+
+    for (let i = 1; i < contour.length - 1; i++) {
+        const dist = perpendicularDistance(contour[i], firstPoint, lastPoint);
+        if (dist > maxDist) {
+            maxDist = dist;
+            index = i;
+        }
+    }
+
+    // If max distance is greater than epsilon, recursively simplify
+    if (maxDist > epsilon) {
+        // Recursive call
+        const firstHalf = approxPolyDP(contour.slice(0, index + 1), epsilon);
+        const secondHalf = approxPolyDP(contour.slice(index), epsilon);
+
+        // Combine results, removing the duplicate point
+        return [...firstHalf.slice(0, -1), ...secondHalf];
+    } else {
+        // All points are within epsilon, so use just the endpoints
+        return [firstPoint, lastPoint];
+    }
+}
+
+/**
+ * Calculates the perpendicular distance from point to line
+ * @param {Array} point - Point [x,y]
+ * @param {Array} lineStart - Line start point [x,y]
+ * @param {Array} lineEnd - Line end point [x,y]
+ * @returns {number} Distance from point to line
+ */
+function perpendicularDistance(point, lineStart, lineEnd) {
+    const [x, y] = point;
+    const [x1, y1] = lineStart;
+    const [x2, y2] = lineEnd;
+
+    const area = Math.abs((y2 - y1) * x - (x2 - x1) * y + x2 * y1 - y2 * x1);
+    const length = Math.sqrt((y2 - y1) ** 2 + (x2 - x1) ** 2);
+
+    return area / length;
+}
+
+/**
+ * Finds the smallest rotated rectangle around a convex polygon (rotating
+ * calipers: one side of that rectangle lies on a polygon edge)
+ * @param {Array} hull - Convex polygon as [x,y] points
+ * @returns {Object} { length, width, axis: [x, y] unit vector along the length, center: {x, y} }
+ */
+function calculateMinAreaRect(hull) {
+    let best = { length: 0, width: 0, axis: [1, 0], center: calculateCentroid(hull), area: Infinity };
+    for (let i = 0; i < hull.length; i++) {
+        const [x1, y1] = hull[i];
+        const [x2, y2] = hull[(i + 1) % hull.length];
+        const edge = Math.hypot(x2 - x1, y2 - y1);
+        if (edge === 0) {
+            continue;
+        }
+        const ux = (x2 - x1) / edge;
+        const uy = (y2 - y1) / edge;
+        let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+        hull.forEach(([x, y]) => {
+            const u = x * ux + y * uy;
+            const v = y * ux - x * uy;
+            minU = Math.min(minU, u);
+            maxU = Math.max(maxU, u);
+            minV = Math.min(minV, v);
+            maxV = Math.max(maxV, v);
+        });
+        // +1: pixel coordinates are pixel centres, the shape covers the whole pixels
+        const extentU = maxU - minU + 1;
+        const extentV = maxV - minV + 1;
+        if (extentU * extentV < best.area) {
+            const u = (minU + maxU) / 2;
+            const v = (minV + maxV) / 2;
+            best = {
+                length: Math.max(extentU, extentV),
+                width: Math.min(extentU, extentV),
+                axis: extentU >= extentV ? [ux, uy] : [-uy, ux],
+                center: { x: u * ux - v * uy, y: u * uy + v * ux },
+                area: extentU * extentV
+            };
+        }
+    }
+    const { area, ...rect } = best;
+    return rect;
+}
+
+/**
+ * Simplifies a closed polygon with approxPolyDP. The outline is split at the
+ * point farthest from its start so that neither half is a closed loop, and
+ * points that are not corners themselves (the start, split points) are
+ * dropped afterwards.
+ * @param {Array} points - Closed polygon as [x,y] points
+ * @param {number} epsilon - Maximum distance from point to line
+ * @returns {Array} Corners
+ */
+function approxClosedPolygon(points, epsilon) {
+    if (points.length <= 3) {
+        return points.slice();
+    }
+    const [x0, y0] = points[0];
+    let far = 0;
+    points.forEach(([x, y], i) => {
+        if (Math.hypot(x - x0, y - y0) > Math.hypot(points[far][0] - x0, points[far][1] - y0)) {
+            far = i;
+        }
+    });
+    const corners = [
+        ...approxPolyDP(points.slice(0, far + 1), epsilon).slice(0, -1),
+        ...approxPolyDP([...points.slice(far), points[0]], epsilon).slice(0, -1)
+    ];
+    // A split point is kept even when it ends up on a side of the result
+    for (let i = 0; corners.length > 3 && i < corners.length;) {
+        const previous = corners[(i + corners.length - 1) % corners.length];
+        const next = corners[(i + 1) % corners.length];
+        if (perpendicularDistance(corners[i], previous, next) <= epsilon) {
+            corners.splice(i, 1);
+        } else {
+            i++;
+        }
+    }
+    return corners;
+}
+
+/**
+ * Compares the area of a simplified outline with that of its convex hull,
+ * relative to what simplifying a circle to as many corners would keep
+ * (n / 2π · sin(2π / n) of its area): 1 when the corners keep all of the
+ * hull, 0 when they keep no more than they would of a circle
+ * @param {Array} polygon - Corners of the simplified hull
+ * @param {number} hullArea - Area of the hull
+ * @returns {number} Straightness (0-1)
+ */
+function calculateStraightness(polygon, hullArea) {
+    const n = polygon.length;
+    if (n < 3 || hullArea <= 0) {
+        return 0;
+    }
+    const coverage = calculateContourArea(polygon) / hullArea;
+    const circleCoverage = n / (2 * Math.PI) * Math.sin(2 * Math.PI / n);
+    return Math.min(1, Math.max(0, (coverage - circleCoverage) / (1 - circleCoverage)));
+}
+
+/**
+ * Standard deviation divided by the mean
+ */
+function coefficientOfVariation(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    if (mean === 0) {
+        return 0;
+    }
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Interior angle at each corner of a polygon, in degrees
+ * @param {Array} polygon - Polygon as [x,y] points
+ * @returns {number[]} Angles (0-180)
+ */
+function calculateCornerAngles(polygon) {
+    return polygon.map(([x, y], i) => {
+        const [px, py] = polygon[(i + polygon.length - 1) % polygon.length];
+        const [nx, ny] = polygon[(i + 1) % polygon.length];
+        const a = Math.atan2(py - y, px - x);
+        const b = Math.atan2(ny - y, nx - x);
+        const angle = Math.abs(a - b) * 180 / Math.PI;
+        return angle > 180 ? 360 - angle : angle;
+    });
+}
+
+/**
+ * How equal the sides of a polygon are: 1 for equal sides, 0 when their
+ * lengths vary by 25% (coefficient of variation) or more
+ * @param {Array} polygon - Polygon as [x,y] points
+ * @returns {number} Regularity (0-1)
+ */
+function calculateSideRegularity(polygon) {
+    if (polygon.length < 3) {
+        return 0;
+    }
+    const sides = polygon.map(([x, y], i) => {
+        const [nx, ny] = polygon[(i + 1) % polygon.length];
+        return Math.hypot(nx - x, ny - y);
+    });
+    return closeness(coefficientOfVariation(sides), 0, 0.25);
+}
+
+/**
+ * How close the corners of a polygon are to those of the regular polygon
+ * with as many corners: 1 when equal, 0 at an average deviation of 30°
+ * @param {Array} polygon - Polygon as [x,y] points
+ * @returns {number} Regularity (0-1)
+ */
+function calculateAngleRegularity(polygon) {
+    if (polygon.length < 3) {
+        return 0;
+    }
+    const regular = 180 * (polygon.length - 2) / polygon.length;
+    const angles = calculateCornerAngles(polygon);
+    const deviation = angles.reduce((sum, angle) => sum + Math.abs(angle - regular), 0) / angles.length;
+    return closeness(deviation, 0, 30);
+}
+
+/**
+ * Average deviation of a polygon's corners from 90°, in degrees
+ * @param {Array} polygon - Polygon as [x,y] points
+ * @returns {number} Deviation
+ */
+function averageRightAngleDeviation(polygon) {
+    const angles = calculateCornerAngles(polygon);
+    return angles.reduce((sum, angle) => sum + Math.abs(angle - 90), 0) / angles.length;
+}
+
+// Export the shape detector
+export { CONFIG, SHAPES, validateOptions, optionsFromTuning, detectShape, detectShapes, detectionOverlay, findContours }; 
\ No newline at end of file
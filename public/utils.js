@@ -42,10 +42,10 @@ function getCanvas() {
     return canvas;
 }
 
-function displayPrediction(label) {
+function displayPrediction(className) {
     const predictionParagraph = document.querySelector(".prediction");
     if (predictionParagraph) {
-        predictionParagraph.textContent = `Prediction: ${label === 0 ? "Circle" : "Triangle"}`;
+        predictionParagraph.textContent = `Prediction: ${className.charAt(0).toUpperCase() + className.slice(1)}`;
     }
 }
 
@@ -0,0 +1,20 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} random() returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Uniform random number in [min, max)
+const uniform = (random, min, max) => min + random() * (max - min);
+
+module.exports = { createRandom, uniform };
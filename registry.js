@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_DIR = path.join(__dirname, 'registry');
+const INDEX_FILE = 'registry.json';
+
+// Directories the served model is copied to: predict.js and the browser app
+const SERVED_DIRS = [
+    path.join(__dirname, 'model'),
+    path.join(__dirname, 'public', 'model')
+];
+
+/**
+ * Reads the registry index, creating an empty one if needed
+ * @param {string} registryDir - Registry directory
+ * @returns {{served: string|null, versions: Array}} Index
+ */
+const readIndex = (registryDir) => {
+    const indexPath = path.join(registryDir, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) {
+        return { served: null, versions: [] };
+    }
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+};
+
+const writeIndex = (registryDir, index) => {
+    fs.mkdirSync(registryDir, { recursive: true });
+    fs.writeFileSync(path.join(registryDir, INDEX_FILE), JSON.stringify(index, null, 2));
+};
+
+/**
+ * Copies a saved model (model.json plus every weight file it references)
+ * @param {string} sourceDir - Directory holding model.json
+ * @param {string} destDir - Destination directory (created if missing)
+ * @param {Function} [transform] - (modelJson) => modelJson applied before writing
+ */
+const copyModelFiles = (sourceDir, destDir, transform = (json) => json) => {
+    const modelJson = JSON.parse(fs.readFileSync(path.join(sourceDir, 'model.json'), 'utf8'));
+    fs.mkdirSync(destDir, { recursive: true });
+    modelJson.weightsManifest.forEach(group => group.paths.forEach(file => {
+        fs.copyFileSync(path.join(sourceDir, file), path.join(destDir, file));
+    }));
+    fs.writeFileSync(path.join(destDir, 'model.json'), JSON.stringify(transform(modelJson), null, 2));
+};
+
+/**
+ * Adds a saved model to the registry under the next version ID
+ * @param {string} modelDir - Directory holding model.json and its weights
+ * @param {Object} [options] - { registryDir, note }
+ * @returns {Object} The new version entry
+ */
+const registerModel = (modelDir, { registryDir = DEFAULT_REGISTRY_DIR, note = null } = {}) => {
+    const index = readIndex(registryDir);
+    const next = index.versions.reduce((max, v) => Math.max(max, Number(v.id.slice(1))), 0) + 1;
+    const entry = {
+        id: `v${next}`,
+        createdAt: new Date().toISOString(),
+        source: path.resolve(modelDir),
+        note
+    };
+
+    copyModelFiles(modelDir, path.join(registryDir, entry.id), (modelJson) => {
+        modelJson.userDefinedMetadata = {
+            ...modelJson.userDefinedMetadata,
+            version: entry.id,
+            registeredAt: entry.createdAt
+        };
+        return modelJson;
+    });
+
+    index.versions.push(entry);
+    writeIndex(registryDir, index);
+    return entry;
+};
+
+/**
+ * Returns a version entry together with the metadata stored in its model.json
+ * @param {string} id - Version ID, e.g. "v3"
+ * @param {string} [registryDir] - Registry directory
+ * @returns {Object} Entry plus { dir, metadata }
+ */
+const getVersion = (id, registryDir = DEFAULT_REGISTRY_DIR) => {
+    const entry = readIndex(registryDir).versions.find(v => v.id === id);
+    if (!entry) {
+        throw new Error(`Unknown model version: ${id}`);
+    }
+    const dir = path.join(registryDir, id);
+    const modelJson = JSON.parse(fs.readFileSync(path.join(dir, 'model.json'), 'utf8'));
+    return { ...entry, dir, metadata: modelJson.userDefinedMetadata || {} };
+};
+
+/**
+ * Lists all registered versions with their metadata
+ * @param {string} [registryDir] - Registry directory
+ * @returns {Array} Versions, oldest first, each with a `served` flag
+ */
+const listVersions = (registryDir = DEFAULT_REGISTRY_DIR) => {
+    const index = readIndex(registryDir);
+    return index.versions.map(v => ({ ...getVersion(v.id, registryDir), served: v.id === index.served }));
+};
+
+// Flattens nested objects into { "a.b.c": value } for comparison
+const flatten = (value, prefix = '', out = {}) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, inner]) => flatten(inner, prefix ? `${prefix}.${key}` : key, out));
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+/**
+ * Compares the metadata of two versions
+ * @param {string} a - First version ID
+ * @param {string} b - Second version ID
+ * @param {string} [registryDir] - Registry directory
+ * @returns {Array<{key: string, a: *, b: *}>} Metadata keys whose values differ
+ */
+const diffVersions = (a, b, registryDir = DEFAULT_REGISTRY_DIR) => {
+    const ignored = new Set(['version', 'registeredAt']);
+    const flatA = flatten(getVersion(a, registryDir).metadata);
+    const flatB = flatten(getVersion(b, registryDir).metadata);
+    const keys = [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])].sort();
+
+    return keys
+        .filter(key => !ignored.has(key))
+        .filter(key => JSON.stringify(flatA[key]) !== JSON.stringify(flatB[key]))
+        .map(key => ({ key, a: flatA[key], b: flatB[key] }));
+};
+
+/**
+ * Makes a version the served model by copying it to model/ and public/model/
+ * @param {string} id - Version ID
+ * @param {Object} [options] - { registryDir, servedDirs }
+ * @returns {Object} The promoted version
+ */
+const promoteVersion = (id, { registryDir = DEFAULT_REGISTRY_DIR, servedDirs = SERVED_DIRS } = {}) => {
+    const version = getVersion(id, registryDir);
+
+    servedDirs.forEach(dir => {
+        // Remove stale weight shards from a previously served model
+        fs.rmSync(dir, { recursive: true, force: true });
+        copyModelFiles(version.dir, dir);
+    });
+
+    const index = readIndex(registryDir);
+    index.served = id;
+    writeIndex(registryDir, index);
+    return version;
+};
+
+const formatValue = (value) => value === undefined ? '-' : JSON.stringify(value);
+
+const usage = () => `Usage: node registry.js <command> [args]
+
+Commands:
+  register <modelDir> [note]   Add a saved model (e.g. runs/<run>/model) as a new version
+  list                         List versions with their test metrics
+  show <version>               Print a version's metadata
+  diff <a> <b>                 Show metadata (config, metrics, data) that differs
+  promote <version>            Serve a version from model/ and public/model/
+
+Set REGISTRY_DIR to use a registry other than ./registry.`;
+
+const main = (argv) => {
+    const registryDir = process.env.REGISTRY_DIR || DEFAULT_REGISTRY_DIR;
+    const [command, ...args] = argv;
+
+    switch (command) {
+        case 'register': {
+            if (!args[0]) {
+                throw new Error('register needs a model directory');
+            }
+            const entry = registerModel(args[0], { registryDir, note: args[1] || null });
+            console.log(`Registered ${args[0]} as ${entry.id}`);
+            break;
+        }
+        case 'list': {
+            const versions = listVersions(registryDir);
+            if (versions.length === 0) {
+                console.log('No registered models');
+            }
+            versions.forEach(v => {
+                const test = (v.metadata.metrics && v.metadata.metrics.test) || {};
+                const accuracy = test.accuracy !== undefined ? test.accuracy.toFixed(3) : '-';
+                console.log(`${v.served ? '*' : ' '} ${v.id.padEnd(6)} ${v.createdAt}  acc ${accuracy}  ` +
+                    `classes ${(v.metadata.classNames || []).join(',')}${v.note ? `  ${v.note}` : ''}`);
+            });
+            break;
+        }
+        case 'show':
+            console.log(JSON.stringify(getVersion(args[0], registryDir), null, 2));
+            break;
+        case 'diff': {
+            const differences = diffVersions(args[0], args[1], registryDir);
+            if (differences.length === 0) {
+                console.log(`${args[0]} and ${args[1]} have identical metadata`);
+            }
+            differences.forEach(({ key, a, b }) => {
+                console.log(`${key}\n  ${args[0]}: ${formatValue(a)}\n  ${args[1]}: ${formatValue(b)}`);
+            });
+            break;
+        }
+        case 'promote': {
+            const version = promoteVersion(args[0], { registryDir });
+            console.log(`Promoted ${version.id}; now served from ${SERVED_DIRS.map(d => path.relative(__dirname, d)).join(' and ')}`);
+            break;
+        }
+        default:
+            console.log(usage());
+            if (command && command !== 'help') {
+                process.exitCode = 2;
+            }
+    }
+};
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    DEFAULT_REGISTRY_DIR,
+    copyModelFiles,
+    registerModel,
+    getVersion,
+    listVersions,
+    diffVersions,
+    promoteVersion
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Formats a date as YYYYMMDD-HHmmss for directory names
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+const timestamp = (date = new Date()) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Creates a fresh, timestamped run directory under runsDir
+ * @param {string} runsDir - Parent directory for all runs
+ * @param {string|null} [name] - Optional suffix for the directory name
+ * @returns {string} Path of the new run directory
+ */
+const createRunDir = (runsDir, name = null) => {
+    const base = path.join(runsDir, timestamp() + (name ? `-${name}` : ''));
+    let runDir = base;
+    // Two runs started within the same second must not share a directory
+    for (let i = 2; fs.existsSync(runDir); i++) {
+        runDir = `${base}-${i}`;
+    }
+    fs.mkdirSync(runDir, { recursive: true });
+    return runDir;
+};
+
+/**
+ * Creates a logger that prints to the console and appends to a log file
+ * @param {string} logFile - File to append log lines to
+ * @returns {Function} log(...args)
+ */
+const createLogger = (logFile) => (...args) => {
+    const message = args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ');
+    console.log(message);
+    fs.appendFileSync(logFile, message + '\n');
+};
+
+module.exports = { createRunDir, createLogger, timestamp };
@@ -0,0 +1,54 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Saves a model as model.json plus a single weights.bin
+ * @param {tf.LayersModel} model - Model to save
+ * @param {string} modelDir - Output directory (created if missing)
+ * @param {Object} [metadata] - Written to userDefinedMetadata
+ * @returns {Promise<void>}
+ */
+const saveModel = async (model, modelDir, metadata = {}) => {
+    // Create the output directory if it doesn't exist
+    if (!fs.existsSync(modelDir)) {
+        fs.mkdirSync(modelDir, { recursive: true });
+    }
+
+    // Save model topology as proper JSON object
+    const modelJSON = {
+        modelTopology: JSON.parse(model.toJSON()),
+        format: 'layers-model',
+        generatedBy: 'TensorFlow.js v' + tf.version.tfjs,
+        convertedBy: null,
+        userDefinedMetadata: metadata,
+        weightsManifest: [{
+            paths: ['weights.bin'],
+            // Original names: variable names get a suffix when a model with the same
+            // layer names already exists in the process, and would not load back
+            weights: model.weights.map(w => ({
+                name: w.originalName,
+                shape: w.shape,
+                dtype: w.dtype
+            }))
+        }]
+    };
+
+    fs.writeFileSync(path.join(modelDir, 'model.json'), JSON.stringify(modelJSON, null, 2));
+
+    // Concatenate all weight values into a single buffer
+    const weightData = await Promise.all(model.getWeights().map(w => w.data()));
+    const totalBytes = weightData.reduce((a, b) => a + b.byteLength, 0);
+    const weightsBuf = new Uint8Array(totalBytes);
+
+    let offset = 0;
+    weightData.forEach(data => {
+        weightsBuf.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+        offset += data.byteLength;
+    });
+
+    // Save concatenated weights
+    fs.writeFileSync(path.join(modelDir, 'weights.bin'), Buffer.from(weightsBuf));
+};
+
+module.exports = saveModel;
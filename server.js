@@ -0,0 +1,480 @@
+const http = require('http');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const { resolveModelPath, getClassNames } = require('./modelUtils');
+const { DEFAULT_MODEL_PATH, loadModel, reloadModel, predictImages, detectObjects } = require('./predict');
+
+const DEFAULT_OPTIONS = {
+    modelPath: DEFAULT_MODEL_PATH,
+    // Largest accepted request body
+    maxBodyBytes: 10 * 1024 * 1024,
+    // Most images in one /predict/batch request
+    maxBatchSize: 64,
+    // Reload the model when its model.json changes on disk
+    watch: true,
+    topK: 1,
+    threshold: 0
+};
+
+// Wait after a model.json change before reloading, so the weight files are complete
+const RELOAD_DELAY_MS = 1000;
+
+/**
+ * Creates an error that is sent to the client as { error: { code, message } }
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+const httpError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const sendJson = (res, status, body) => {
+    const data = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+    res.end(data);
+};
+
+/**
+ * Reads a request body, rejecting bodies larger than maxBytes
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Buffer>} Body
+ */
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${maxBytes} bytes`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+        reject(tooLarge());
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(tooLarge());
+            // Stop buffering; the response closes the connection
+            req.removeAllListeners('data');
+            req.resume();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+/**
+ * Splits a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array<{name: string|null, filename: string|null, contentType: string|null, data: Buffer}>} Parts
+ */
+const parseMultipart = (body, contentType) => {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!match) {
+        throw httpError(400, 'BAD_REQUEST', 'multipart/form-data request without a boundary');
+    }
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const parts = [];
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        start += delimiter.length;
+        // "--" after the delimiter closes the body
+        if (body.subarray(start, start + 2).toString() === '--') {
+            break;
+        }
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) {
+            break;
+        }
+        // Drop the CRLF after the delimiter line and before the next delimiter
+        const part = body.subarray(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const header = (pattern) => (pattern.exec(headers) || [])[1] || null;
+            parts.push({
+                name: header(/\bname="([^"]*)"/i),
+                filename: header(/\bfilename="([^"]*)"/i),
+                contentType: header(/^content-type:\s*([^\r\n]+)/im),
+                data: part.subarray(headerEnd + 4)
+            });
+        }
+        start = end;
+    }
+    return parts;
+};
+
+const isPng = (data) => data.length > 8 && data.readUInt32BE(0) === 0x89504e47;
+const isJpeg = (data) => data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff;
+
+// Checks that an upload is a PNG or JPEG before it reaches the decoder
+const checkImage = (data, name) => {
+    if (!isPng(data) && !isJpeg(data)) {
+        throw httpError(415, 'UNSUPPORTED_MEDIA_TYPE', `${name ? `${name}: ` : ''}only PNG and JPEG images are supported`);
+    }
+    return data;
+};
+
+// Decodes base64 or a data: URL
+const decodeBase64 = (value, name) => {
+    if (typeof value !== 'string') {
+        throw httpError(400, 'BAD_REQUEST', `${name} must be a base64 string`);
+    }
+    return Buffer.from(value.replace(/^data:[^,]*,/, ''), 'base64');
+};
+
+/**
+ * Extracts the uploaded images of a request, in order
+ * @param {http.IncomingMessage} req - Request
+ * @param {Buffer} body - Request body
+ * @returns {{images: Array<{name: string, data: Buffer}>, options: Object}} Images and
+ *   per-request options given in a JSON body
+ */
+const extractImages = (req, body) => {
+    const contentType = (req.headers['content-type'] || '').toLowerCase();
+
+    if (contentType.startsWith('multipart/form-data')) {
+        const files = parseMultipart(body, req.headers['content-type'])
+            .filter(part => part.filename !== null || (part.contentType || '').startsWith('image/'));
+        return {
+            images: files.map((part, i) => ({ name: part.filename || part.name || `image-${i + 1}`, data: part.data })),
+            options: {}
+        };
+    }
+
+    if (contentType.startsWith('application/json')) {
+        let json;
+        try {
+            json = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw httpError(400, 'BAD_REQUEST', `Invalid JSON: ${error.message}`);
+        }
+        // { image } for one image, { images: [base64 | { name, image }] } for several
+        const entries = json.images !== undefined ? json.images : (json.image !== undefined ? [json.image] : []);
+        if (!Array.isArray(entries)) {
+            throw httpError(400, 'BAD_REQUEST', '"images" must be an array');
+        }
+        return {
+            images: entries.map((entry, i) => {
+                const name = (entry && entry.name) || `image-${i + 1}`;
+                return { name, data: decodeBase64(entry && typeof entry === 'object' ? entry.image : entry, name) };
+            }),
+            options: { topK: json.topK, threshold: json.threshold }
+        };
+    }
+
+    if (contentType.startsWith('image/') || contentType.startsWith('application/octet-stream') || contentType === '') {
+        return { images: body.length > 0 ? [{ name: 'image', data: body }] : [], options: {} };
+    }
+
+    throw httpError(415, 'UNSUPPORTED_MEDIA_TYPE', `Unsupported Content-Type: ${req.headers['content-type']}`);
+};
+
+/**
+ * Prediction options for a request: server defaults, overridden by the query
+ * string (?topK=3&threshold=0.8) and then by fields of a JSON body
+ */
+const requestOptions = (url, bodyOptions, defaults) => {
+    const pick = (name) => bodyOptions[name] ?? (url.searchParams.has(name) ? Number(url.searchParams.get(name)) : defaults[name]);
+    const topK = pick('topK');
+    const threshold = pick('threshold');
+    if (!Number.isInteger(topK) || topK < 1) {
+        throw httpError(400, 'BAD_REQUEST', 'topK must be a positive integer');
+    }
+    if (!(threshold >= 0 && threshold <= 1)) {
+        throw httpError(400, 'BAD_REQUEST', 'threshold must be between 0 and 1');
+    }
+    return { topK, threshold };
+};
+
+/**
+ * Describes the served model for GET /model
+ * @param {tf.LayersModel} model - Loaded model
+ * @param {Object} info - { modelJsonPath, loadedAt }
+ * @returns {Object} Model description
+ */
+const describeModel = (model, { modelJsonPath, loadedAt }) => {
+    const metadata = model.getUserDefinedMetadata() || {};
+    return {
+        path: modelJsonPath,
+        classNames: getClassNames(model),
+        inputShape: metadata.inputShape || model.inputs[0].shape.slice(1),
+        version: metadata.version || null,
+        createdAt: metadata.createdAt || null,
+        metrics: metadata.metrics || null,
+        calibration: metadata.calibration || null,
+        loadedAt
+    };
+};
+
+/**
+ * Watches model.json and reloads the model when it changes. A failed reload
+ * (e.g. a half-written model) keeps the previous model in service.
+ * @param {string} modelJsonPath - Path to model.json
+ * @param {Function} onReload - Called with (error, model) after each reload attempt
+ * @returns {Function} Stops watching
+ */
+const watchModel = (modelJsonPath, onReload) => {
+    let timer = null;
+    const onChange = (current, previous) => {
+        // mtime 0 means the file was removed; wait for the new one
+        if (current.mtimeMs === 0 || current.mtimeMs === previous.mtimeMs) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            reloadModel(modelJsonPath).then(model => onReload(null, model), error => onReload(error));
+        }, RELOAD_DELAY_MS);
+    };
+    fs.watchFile(modelJsonPath, { interval: 1000 }, onChange);
+    return () => {
+        clearTimeout(timer);
+        fs.unwatchFile(modelJsonPath, onChange);
+    };
+};
+
+/**
+ * Creates the inference server (not yet listening). Routes:
+ *   GET  /health         { status, uptimeSeconds }
+ *   GET  /model          Class names, input shape, version and metrics of the served model
+ *   POST /predict        One image: multipart upload, raw PNG/JPEG body or JSON { image: base64 }
+ *   POST /predict/batch  Several images: multipart uploads or JSON { images: [...] }
+ *   POST /detect         One image that may hold several shapes: { width, height, objects: [{ bbox, shape, confidence, ... }] }
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @param {Function} [log] - Logger for requests and reloads
+ * @returns {Promise<http.Server>} Server; closing it stops the model watcher
+ */
+const createServer = async (options = {}, log = console.log) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const modelJsonPath = resolveModelPath(settings.modelPath);
+    const startedAt = Date.now();
+    const modelInfo = { modelJsonPath, loadedAt: null };
+
+    await loadModel(modelJsonPath);
+    modelInfo.loadedAt = new Date().toISOString();
+
+    // Reads, validates and classifies the images of a request
+    const classify = async (req, url, { batch }) => {
+        const body = await readBody(req, settings.maxBodyBytes);
+        const { images, options: bodyOptions } = extractImages(req, body);
+        const predictionOptions = requestOptions(url, bodyOptions, settings);
+        if (!batch && images.length !== 1) {
+            throw httpError(400, 'BAD_REQUEST', `Expected exactly one image, got ${images.length}; use /predict/batch for several`);
+        }
+        if (batch && images.length === 0) {
+            throw httpError(400, 'BAD_REQUEST', 'No images in request');
+        }
+        if (images.length > settings.maxBatchSize) {
+            throw httpError(413, 'PAYLOAD_TOO_LARGE', `At most ${settings.maxBatchSize} images per batch`);
+        }
+        images.forEach(image => checkImage(image.data, image.name));
+        const results = await predictImages(images.map(image => image.data), {
+            modelPath: modelJsonPath,
+            ...predictionOptions
+        });
+        return { images, results };
+    };
+
+    const routes = {
+        'GET /health': async () => [200, {
+            status: 'ok',
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+        }],
+        'GET /model': async () => [200, describeModel(await loadModel(modelJsonPath), modelInfo)],
+        'POST /predict': async (req, url) => {
+            const { results } = await classify(req, url, { batch: false });
+            if (results[0].error) {
+                throw httpError(422, 'INVALID_IMAGE', results[0].error);
+            }
+            return [200, results[0]];
+        },
+        'POST /predict/batch': async (req, url) => {
+            const { images, results } = await classify(req, url, { batch: true });
+            return [200, { results: results.map((result, i) => ({ name: images[i].name, ...result })) }];
+        },
+        'POST /detect': async (req, url) => {
+            const body = await readBody(req, settings.maxBodyBytes);
+            const { images, options: bodyOptions } = extractImages(req, body);
+            if (images.length !== 1) {
+                throw httpError(400, 'BAD_REQUEST', `Expected exactly one image, got ${images.length}`);
+            }
+            checkImage(images[0].data, images[0].name);
+            const detectionOptions = requestOptions(url, bodyOptions, settings);
+            try {
+                return [200, await detectObjects(images[0].data, { modelPath: modelJsonPath, ...detectionOptions })];
+            } catch (error) {
+                if (error.code === 'EMODELLOAD') {
+                    throw error;
+                }
+                throw httpError(422, 'INVALID_IMAGE', error.message);
+            }
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const started = Date.now();
+        const url = new URL(req.url, 'http://localhost');
+        const key = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+        let status;
+        try {
+            const route = routes[key];
+            if (!route) {
+                const knownPath = Object.keys(routes).some(k => k.split(' ')[1] === key.split(' ')[1]);
+                throw knownPath
+                    ? httpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${url.pathname}`)
+                    : httpError(404, 'NOT_FOUND', `No route for ${req.method} ${url.pathname}`);
+            }
+            const [routeStatus, body] = await route(req, url);
+            status = routeStatus;
+            sendJson(res, status, body);
+        } catch (error) {
+            status = error.status || (error.code === 'EMODELLOAD' ? 503 : 500);
+            const code = error.status ? error.code : (status === 503 ? 'MODEL_UNAVAILABLE' : 'INTERNAL_ERROR');
+            if (status === 413) {
+                res.setHeader('Connection', 'close');
+            }
+            sendJson(res, status, { error: { code, message: error.message } });
+        }
+        log(`${req.method} ${url.pathname} ${status} ${Date.now() - started}ms`);
+    });
+
+    if (settings.watch) {
+        const stopWatching = watchModel(modelJsonPath, (error, model) => {
+            if (error) {
+                log(`Model reload failed, still serving the previous model: ${error.message}`);
+                return;
+            }
+            modelInfo.loadedAt = new Date().toISOString();
+            const { version } = model.getUserDefinedMetadata() || {};
+            log(`Reloaded model from ${modelJsonPath}${version ? ` (${version})` : ''}`);
+        });
+        server.on('close', stopWatching);
+    }
+
+    return server;
+};
+
+// Parses sizes such as 512kb, 10mb or a plain number of bytes
+const parseSize = (text) => {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(text);
+    if (!match) {
+        throw new Error(`Invalid size: ${text}`);
+    }
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+    return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+};
+
+const usage = () => `Usage: node server.js [options]
+
+Serves the model over HTTP on the local machine.
+
+Options:
+  --port <n>           Port (default $PORT or 3000)
+  --host <host>        Interface to bind (default 127.0.0.1)
+  --model <path>       Model directory or model.json (default model/)
+  --max-body <size>    Request size limit, e.g. 512kb or 10mb (default 10mb)
+  --max-batch <n>      Images per /predict/batch request (default ${DEFAULT_OPTIONS.maxBatchSize})
+  --top-k <n>          Default number of ranked classes per result (default 1)
+  --threshold <p>      Default decision threshold (default 0)
+  --no-watch           Do not reload the model when model.json changes
+  -h, --help           Show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                port: { type: 'string', default: process.env.PORT || '3000' },
+                host: { type: 'string', default: '127.0.0.1' },
+                model: { type: 'string', default: DEFAULT_MODEL_PATH },
+                'max-body': { type: 'string', default: '10mb' },
+                'max-batch': { type: 'string', default: String(DEFAULT_OPTIONS.maxBatchSize) },
+                'top-k': { type: 'string', default: '1' },
+                threshold: { type: 'string', default: '0' },
+                'no-watch': { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+
+    const options = {
+        modelPath: values.model,
+        maxBatchSize: Number(values['max-batch']),
+        watch: !values['no-watch'],
+        topK: Number(values['top-k']),
+        threshold: Number(values.threshold)
+    };
+    const port = Number(values.port);
+    const problems = [];
+    try {
+        options.maxBodyBytes = parseSize(values['max-body']);
+        if (options.maxBodyBytes < 1) {
+            problems.push('--max-body expects a size above 0');
+        }
+    } catch (error) {
+        problems.push(error.message);
+    }
+    [['max-batch', options.maxBatchSize], ['top-k', options.topK]].forEach(([flag, value]) => {
+        if (!Number.isInteger(value) || value < 1) {
+            problems.push(`--${flag} expects a positive integer`);
+        }
+    });
+    if (!(options.threshold >= 0 && options.threshold <= 1)) {
+        problems.push('--threshold expects a probability between 0 and 1');
+    }
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        problems.push('--port expects a port number (0-65535)');
+    }
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        process.exit(2);
+    }
+
+    let server;
+    try {
+        server = await createServer(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(3);
+    }
+
+    server.listen(port, values.host, () => {
+        const { port } = server.address();
+        console.log(`Serving ${resolveModelPath(values.model)} on http://${values.host}:${port}`);
+    });
+
+    const shutdown = () => {
+        console.log('Shutting down...');
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createServer, parseSize };
@@ -0,0 +1,69 @@
+const { shuffled } = require('./dataset');
+
+/**
+ * Groups labeled files by class, shuffling each group
+ * @param {Array<{className: string}>} files - Labeled files
+ * @param {Function} random - Random number generator
+ * @returns {Array<Array>} One shuffled group per class, in order of first appearance
+ */
+const groupByClass = (files, random) => {
+    const groups = new Map();
+    files.forEach(file => {
+        if (!groups.has(file.className)) {
+            groups.set(file.className, []);
+        }
+        groups.get(file.className).push(file);
+    });
+    return [...groups.values()].map(group => shuffled(group, random));
+};
+
+/**
+ * Splits source files into training and validation sets, keeping the class
+ * proportions of both sets equal to those of the whole set
+ * @param {Array<{className: string}>} files - Labeled files
+ * @param {number} validationFraction - Fraction of each class held out
+ * @param {Function} random - Random number generator
+ * @returns {{train: Array, validation: Array}} The two sets
+ */
+const stratifiedSplit = (files, validationFraction, random) => {
+    const train = [];
+    const validation = [];
+    groupByClass(files, random).forEach(group => {
+        const numValidation = Math.round(group.length * validationFraction);
+        validation.push(...group.slice(0, numValidation));
+        train.push(...group.slice(numValidation));
+    });
+    return { train, validation };
+};
+
+/**
+ * Partitions source files into k stratified folds. Every file is used for
+ * validation exactly once and for training in the other k - 1 folds.
+ * @param {Array<{className: string}>} files - Labeled files
+ * @param {number} k - Number of folds (at least 2)
+ * @param {Function} random - Random number generator
+ * @returns {Array<{train: Array, validation: Array}>} One split per fold
+ */
+const stratifiedKFold = (files, k, random) => {
+    if (!Number.isInteger(k) || k < 2) {
+        throw new Error(`Number of folds must be an integer of at least 2, got ${k}`);
+    }
+
+    // Deal each class round-robin, continuing where the previous class stopped
+    // so the folds also end up with equal sizes
+    const folds = Array.from({ length: k }, () => []);
+    let next = 0;
+    groupByClass(files, random).forEach(group => {
+        group.forEach(file => {
+            folds[next].push(file);
+            next = (next + 1) % k;
+        });
+    });
+
+    return folds.map((validation, i) => ({
+        train: folds.filter((_, j) => j !== i).flat(),
+        validation
+    }));
+};
+
+module.exports = { stratifiedSplit, stratifiedKFold };
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectShape, findContours } from '../public/shapeDetection.mjs';
+
+const SIZE = 100;
+
+/**
+ * A white grayscale image with black ink wherever isInk(x, y) holds
+ */
+function drawing(isInk) {
+    const data = new Uint8ClampedArray(SIZE * SIZE).fill(255);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            if (isInk(x, y)) data[y * SIZE + x] = 0;
+        }
+    }
+    return { data, width: SIZE, height: SIZE };
+}
+
+/**
+ * A ring around the centre of the image, radius 30 and 4 pixels wide,
+ * missing the arc within gapAngle degrees either side of the positive x axis
+ */
+function ring(gapAngle = 0) {
+    return drawing((x, y) => {
+        const dx = x - SIZE / 2;
+        const dy = y - SIZE / 2;
+        const angle = Math.abs(Math.atan2(dy, dx)) * 180 / Math.PI;
+        return Math.abs(Math.hypot(dx, dy) - 30) <= 2 && angle >= gapAngle;
+    });
+}
+
+test('an outlined square is a square', () => {
+    const inside = (x, y, from, to) => x >= from && x < to && y >= from && y < to;
+    const result = detectShape(drawing((x, y) => inside(x, y, 20, 80) && !inside(x, y, 24, 76)));
+    assert.equal(result.shape, 'square');
+    assert.ok(result.confidence >= 0.5, `confidence ${result.confidence}`);
+});
+
+test('an outlined circle is a circle', () => {
+    assert.equal(detectShape(ring()).shape, 'circle');
+});
+
+test('an empty image is unknown', () => {
+    const result = detectShape(drawing(() => false));
+    assert.equal(result.shape, 'unknown');
+    assert.equal(result.confidence, 0);
+    assert.equal(result.metrics, null);
+});
+
+test('a ring has one outer border around one hole border', () => {
+    const { data } = ring();
+    const borders = findContours(Uint8Array.from(data, value => value < 128 ? 1 : 0), SIZE, SIZE);
+    assert.equal(borders.length, 2);
+    const outer = borders.findIndex(({ hole }) => !hole);
+    assert.equal(borders[outer].parent, -1);
+    const hole = borders.find(({ hole }) => hole);
+    assert.equal(hole.parent, outer);
+    assert.ok(hole.points.length > 0);
+});
+
+test('an outlined circle encloses its hole', () => {
+    const result = detectShape(ring());
+    assert.equal(result.shape, 'circle');
+    assert.ok(result.metrics.holeFraction > 0.5, `holeFraction ${result.metrics.holeFraction}`);
+});
+
+test('an open circle is bridged and then a circle', () => {
+    const result = detectShape(ring(8));
+    assert.equal(result.closure.wasClosed, false);
+    assert.equal(result.closure.closed, true);
+    assert.ok(result.closure.bridges >= 1, `bridges ${result.closure.bridges}`);
+    assert.equal(result.shape, 'circle');
+});
@@ -2,195 +2,340 @@ const tf = require('@tensorflow/tfjs-node');
 const fs = require('fs');
 const path = require('path');
 
-const { loadData, getTrainData, getTestData } = require('./getData');
-
-const model = require("./createModel");
-
-// Data augmentation function
-const augmentData = (images, labels) => {
-    console.log('Augmenting training data...');
-    const augmentedImages = [];
-    const augmentedLabels = [];
+const { discoverClasses, listLabeledFiles, hashDataset } = require('./getData');
+const { createImageDataset, countFilesPerClass } = require('./dataset');
+const { createAugmenter } = require('./augment');
+const { createRandom } = require('./random');
+const { getPreprocessing } = require('./preprocess');
+const { stratifiedSplit, stratifiedKFold } = require('./splits');
+const { createModel, compileModel, setLearningRate } = require('./createModel');
+const { createConfig, loadConfigFile, resolveConfig, learningRateAt, usage } = require('./config');
+const { createRunDir, createLogger } = require('./runs');
+const saveModel = require('./saveModel');
+const { isImprovement, saveCheckpoint, loadCheckpoint } = require('./checkpoints');
+const { evaluateModel, writeReport, summarizeReport } = require('./evaluate');
+const { registerModel } = require('./registry');
+
+// Describe the number of samples in each class
+const describeCounts = (counts, classNames) =>
+    classNames.map((name, i) => `${counts[i]} ${name}`).join(', ');
+
+/**
+ * Trains a model on one train/validation split. After every epoch the model,
+ * optimizer and training state are checkpointed to <checkpointDir>/last, and
+ * the best epoch according to training.monitor to <checkpointDir>/best.
+ * @param {Object} config - Resolved config
+ * @param {string[]} classNames - Class names, index = label
+ * @param {Object} split - { train, validation } labeled files
+ * @param {Function} log - Logger
+ * @param {string} checkpointDir - Directory for the best/ and last/ checkpoints
+ * @param {Object} [resume] - Checkpoint returned by loadCheckpoint to continue from
+ * @returns {Promise<{model: tf.LayersModel, history: Array, bestEpoch: number|null}>}
+ *   Trained model (best weights if training.restoreBestWeights), per-epoch logs and best epoch
+ */
+const fitModel = async (config, classNames, split, log, checkpointDir, resume = null) => {
+    const { epochs, batchSize, shuffle, shuffleBufferSize, monitor, earlyStopping, restoreBestWeights } = config.training;
+    const metadata = { classNames };
+
+    const trainCounts = countFilesPerClass(split.train, classNames);
+    const validationCounts = countFilesPerClass(split.validation, classNames);
+    log(`Training data: ${split.train.length} images (${describeCounts(trainCounts, classNames)}), randomly augmented every epoch`);
+    log(`Validation data: ${split.validation.length} images (${describeCounts(validationCounts, classNames)})`);
+
+    const trainDataset = createImageDataset(split.train, classNames, {
+        batchSize,
+        shuffle,
+        shuffleBufferSize,
+        seed: config.seed,
+        initialEpoch: resume ? resume.state.epoch : 0,
+        augmenter: (seed) => createAugmenter(config.augmentation, seed)
+    });
+    const validationDataset = split.validation.length > 0
+        ? createImageDataset(split.validation, classNames, { batchSize })
+        : undefined;
+
+    // Configure the training process
+    const model = resume ? resume.model : createModel(classNames.length, config.model);
+    const optimizer = compileModel(model, config.optimizer);
+    if (resume) {
+        await optimizer.setWeights(resume.optimizerWeights);
+    }
 
-    // Helper to add the augmented data to the arrays
-    const addAugmentation = (image, label) => {
-        augmentedImages.push(image);
-        augmentedLabels.push(label);
-    };
+    const state = resume
+        ? resume.state
+        : { epoch: 0, best: null, bestEpoch: null, wait: 0, stopped: false, history: [] };
+    const history = state.history;
+    const bestDir = path.join(checkpointDir, 'best');
+    let warnedMissingMetric = false;
+
+    if (state.stopped || state.epoch >= epochs) {
+        log(`Training already finished at epoch ${state.epoch}`);
+    } else {
+        log(state.epoch > 0 ? `Resuming training at epoch ${state.epoch + 1}...` : "Starting training...");
+        await model.fitDataset(trainDataset, {
+            epochs,
+            initialEpoch: state.epoch,
+            validationData: validationDataset,
+            callbacks: {
+                onEpochBegin: (epoch) => {
+                    setLearningRate(optimizer, learningRateAt(config.optimizer, epoch, epochs));
+                },
+                onEpochEnd: async (epoch, logs) => {
+                    history.push({ epoch: epoch + 1, learningRate: optimizer.learningRate, ...logs });
+                    const validation = logs.val_loss !== undefined
+                        ? `, val_loss = ${logs.val_loss.toFixed(3)}, val_acc = ${logs.val_acc.toFixed(3)}`
+                        : '';
+                    log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(3)}, accuracy = ${logs.acc.toFixed(3)}${validation}, lr = ${optimizer.learningRate.toExponential(2)}`);
+
+                    state.epoch = epoch + 1;
+                    const value = logs[monitor];
+                    if (value === undefined) {
+                        if (!warnedMissingMetric) {
+                            log(`Warning: monitored metric "${monitor}" is not available; best-model checkpointing and early stopping are disabled`);
+                            warnedMissingMetric = true;
+                        }
+                    } else if (isImprovement(monitor, value, state.best, earlyStopping ? earlyStopping.minDelta : 0)) {
+                        state.best = value;
+                        state.bestEpoch = epoch + 1;
+                        state.wait = 0;
+                        await saveModel(model, bestDir, metadata);
+                        log(`Saved best model (${monitor} = ${value.toFixed(4)})`);
+                    } else {
+                        state.wait++;
+                        if (earlyStopping && state.wait >= earlyStopping.patience) {
+                            log(`Early stopping: ${monitor} has not improved for ${state.wait} epochs (best ${state.best.toFixed(4)} at epoch ${state.bestEpoch})`);
+                            state.stopped = true;
+                            model.stopTraining = true;
+                        }
+                    }
+
+                    await saveCheckpoint(model, optimizer, path.join(checkpointDir, 'last'), state, metadata);
+                }
+            }
+        });
+    }
 
-    // Process each image
-    for (let i = 0; i < images.shape[0]; i++) {
-        const image = tf.slice(images, [i, 0, 0, 0], [1, 28, 28, 3]);
-        const label = tf.slice(labels, [i, 0], [1, 2]);
-
-        // Add original image
-        addAugmentation(image, label);
-
-        // Add flipped version (horizontal)
-        const flippedH = tf.tidy(() => tf.image.flipLeftRight(image));
-        addAugmentation(flippedH, label);
-
-        // Add rotated versions (slight rotations)
-        for (const angle of [-0.2, -0.1, 0.1, 0.2]) {
-            const rotated = tf.tidy(() => {
-                // Using affine transform for rotation
-                const radians = angle * Math.PI;
-                const cosAngle = Math.cos(radians);
-                const sinAngle = Math.sin(radians);
-
-                return tf.image.transform(
-                    image,
-                    [
-                        cosAngle, sinAngle, 0,
-                        -sinAngle, cosAngle, 0,
-                        0, 0, 1
-                    ],
-                    'bilinear'
-                );
-            });
-            addAugmentation(rotated, label);
-        }
+    if (restoreBestWeights && state.bestEpoch !== null && state.bestEpoch !== state.epoch) {
+        const best = await tf.loadLayersModel(`file://${path.resolve(bestDir, 'model.json')}`);
+        model.setWeights(best.getWeights());
+        best.dispose();
+        log(`Restored weights from best epoch ${state.bestEpoch}`);
     }
 
-    // Stack all augmented images and labels
-    const augmentedImagesStacked = tf.concat(augmentedImages, 0);
-    const augmentedLabelsStacked = tf.concat(augmentedLabels, 0);
+    return { model, history, bestEpoch: state.bestEpoch };
+};
 
-    console.log(`Data augmentation complete. Original: ${images.shape[0]} images, Augmented: ${augmentedImagesStacked.shape[0]} images`);
+/**
+ * Evaluates a model on the test files, logs the per-image results and writes
+ * evaluation.json/evaluation.html to outDir
+ * @param {tf.LayersModel} model - Trained model
+ * @param {Array} testFiles - Labeled test files
+ * @param {string[]} classNames - Class names
+ * @param {number} batchSize - Evaluation batch size
+ * @param {string} outDir - Directory for the evaluation report
+ * @param {Function} log - Logger
+ * @returns {Promise<{loss: number, accuracy: number, macroF1: number, ece: number}>} Test metrics
+ */
+const evaluateOnTest = async (model, testFiles, classNames, batchSize, outDir, log) => {
+    log("\nEvaluating model...");
+    const report = await evaluateModel(model, testFiles, classNames, { batchSize });
+    report.createdAt = new Date().toISOString();
+
+    log(`\nTest Results:`);
+    log(summarizeReport(report));
+
+    // Test on specific examples
+    log("\nTesting on individual examples:");
+    report.predictions.forEach(({ file, actual, predicted, confidence }) => {
+        const correct = actual === predicted ? '✓' : '✗';
+        log(`${path.basename(file)}: Actual: ${actual}, Predicted: ${predicted} (${confidence.toFixed(3)}) ${correct}`);
+    });
+
+    const written = writeReport(report, outDir);
+    log(`Evaluation report written to ${written.html}`);
 
     return {
-        images: augmentedImagesStacked,
-        labels: augmentedLabelsStacked
+        loss: report.loss,
+        accuracy: report.accuracy,
+        macroF1: report.macro.f1,
+        ece: report.calibration.ece
     };
 };
 
-// Count the number of samples in each class
-const countClasses = (labels) => {
-    const counts = [0, 0];
-    const labelsArray = Array.from(labels.argMax(1).dataSync());
+// Whether fitModel returned the best epoch's weights rather than the last epoch's
+const restoredEpoch = (config, bestEpoch) => config.training.restoreBestWeights && bestEpoch !== null;
+
+// Mean and (population) standard deviation of a list of numbers
+const meanAndStd = (values) => {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length;
+    return { mean, std: Math.sqrt(variance) };
+};
 
-    for (const label of labelsArray) {
-        counts[label]++;
+/**
+ * Trains k models on stratified folds of the training files and reports the
+ * mean and standard deviation of their validation and test metrics
+ * @param {Object} config - Resolved config
+ * @param {string[]} classNames - Class names
+ * @param {Array} labeledFiles - All labeled training files
+ * @param {Array} testFiles - Labeled test files
+ * @param {string} runDir - Run directory; each fold writes to fold-<n>/
+ * @param {Function} log - Logger
+ * @returns {Promise<Object>} Per-fold results and their summary
+ */
+const crossValidate = async (config, classNames, labeledFiles, testFiles, runDir, log) => {
+    const folds = stratifiedKFold(labeledFiles, config.training.folds, createRandom(config.seed));
+    const results = [];
+
+    for (let i = 0; i < folds.length; i++) {
+        log(`\n=== Fold ${i + 1}/${folds.length} ===`);
+        const foldDir = path.join(runDir, `fold-${i + 1}`);
+        const { model, history, bestEpoch } = await fitModel(
+            config, classNames, folds[i], log, path.join(foldDir, 'checkpoints'));
+        // Report the epoch whose weights the fold model ends up with
+        const last = (restoredEpoch(config, bestEpoch) && history[bestEpoch - 1]) || history[history.length - 1];
+        const test = await evaluateOnTest(model, testFiles, classNames, config.training.batchSize, foldDir, log);
+
+        await saveModel(model, path.join(foldDir, 'model'), { classNames });
+        fs.writeFileSync(path.join(foldDir, 'history.json'), JSON.stringify(history, null, 2));
+        model.dispose();
+
+        results.push({
+            fold: i + 1,
+            validationLoss: last.val_loss,
+            validationAccuracy: last.val_acc,
+            testLoss: test.loss,
+            testAccuracy: test.accuracy
+        });
     }
 
-    return {
-        circles: counts[0],
-        triangles: counts[1],
-        total: labelsArray.length
-    };
-};
+    const summary = {};
+    ['validationLoss', 'validationAccuracy', 'testLoss', 'testAccuracy'].forEach(metric => {
+        summary[metric] = meanAndStd(results.map(result => result[metric]));
+    });
 
-const train = async () => {
-    try {
-        await loadData();
+    log(`\nCross-validation over ${folds.length} folds:`);
+    Object.entries(summary).forEach(([metric, { mean, std }]) => {
+        log(`${metric}: ${mean.toFixed(3)} ± ${std.toFixed(3)}`);
+    });
 
-        const { images: trainImages, labels: trainLabels } = getTrainData();
-        const { images: testImages, labels: testLabels } = getTestData();
+    return { folds: results, summary };
+};
 
-        // Count before augmentation
-        const beforeCounts = countClasses(trainLabels);
-        console.log(`Training data before augmentation: ${beforeCounts.total} images (${beforeCounts.circles} circles, ${beforeCounts.triangles} triangles)`);
+/**
+ * Trains a model according to a resolved config and writes the run outputs
+ * (model/, checkpoints/, config.json, history.json, train.log) to a new run
+ * directory. With training.folds set, trains one model per fold instead and
+ * writes fold-<n>/ directories plus cross-validation.json.
+ * @param {Object} config - Resolved config (see DEFAULT_CONFIG in config.js)
+ * @param {string} [resumeDir] - Existing run directory to resume from its last checkpoint
+ * @returns {Promise<string>} Path of the run directory
+ */
+const train = async (config, resumeDir = null) => {
+    if (resumeDir && config.training.folds) {
+        throw new Error("Resuming cross-validation runs is not supported");
+    }
 
-        // Augment the training data
-        const augmentedData = augmentData(trainImages, trainLabels);
+    const runDir = resumeDir || createRunDir(config.output.runsDir, config.output.name);
+    const log = createLogger(path.join(runDir, 'train.log'));
+    fs.writeFileSync(path.join(runDir, 'config.json'), JSON.stringify(config, null, 2));
+    log(resumeDir ? `Resuming run: ${runDir}` : `Run directory: ${runDir}`);
+    log(`Seed: ${config.seed}`);
 
-        // Count after augmentation
-        const afterCounts = countClasses(augmentedData.labels);
-        console.log(`Training data after augmentation: ${afterCounts.total} images (${afterCounts.circles} circles, ${afterCounts.triangles} triangles)`);
+    const classNames = discoverClasses(config.data.trainDir);
+    log(`Classes: ${classNames.join(', ')}`);
 
-        // Configure the training process
-        model.compile({
-            optimizer: tf.train.adam(0.0005),  // Lower learning rate
-            loss: 'categoricalCrossentropy',
-            metrics: ['accuracy']
-        });
+    const labeledFiles = listLabeledFiles(config.data.trainDir);
+    const testFiles = listLabeledFiles(config.data.testDir);
+    log(`Test data: ${testFiles.length} images`);
 
-        console.log("Starting training...");
-        await model.fit(augmentedData.images, augmentedData.labels, {
-            epochs: 50,  // More epochs
-            batchSize: 32,  // Larger batch size
-            validationSplit: 0.2,
-            shuffle: true,  // Ensure data is shuffled
-            callbacks: {
-                onEpochEnd: (epoch, logs) => {
-                    console.log(`Epoch ${epoch + 1}: loss = ${logs.loss.toFixed(3)}, accuracy = ${logs.acc.toFixed(3)}, val_loss = ${logs.val_loss.toFixed(3)}, val_acc = ${logs.val_acc.toFixed(3)}`);
-                }
-            }
-        });
+    if (config.training.folds) {
+        const results = await crossValidate(config, classNames, labeledFiles, testFiles, runDir, log);
+        fs.writeFileSync(path.join(runDir, 'cross-validation.json'), JSON.stringify(results, null, 2));
+        return runDir;
+    }
 
-        console.log("\nEvaluating model...");
-        const evalOutput = await model.evaluate(testImages, testLabels);
-        const loss = evalOutput[0].dataSync()[0].toFixed(3);
-        const accuracy = evalOutput[1].dataSync()[0].toFixed(3);
-
-        console.log(`\nTest Results:`);
-        console.log(`Loss: ${loss}`);
-        console.log(`Accuracy: ${accuracy}`);
-
-        // Test on specific examples
-        console.log("\nTesting on individual examples:");
-        const testPredictions = model.predict(testImages);
-        const testLabelsArray = Array.from(testLabels.argMax(1).dataSync());
-        const testPredictionsArray = Array.from(testPredictions.argMax(1).dataSync());
-
-        // Check each prediction
-        for (let i = 0; i < testLabelsArray.length; i++) {
-            const actual = testLabelsArray[i] === 0 ? 'circle' : 'triangle';
-            const predicted = testPredictionsArray[i] === 0 ? 'circle' : 'triangle';
-            const correct = testLabelsArray[i] === testPredictionsArray[i] ? '✓' : '✗';
-            console.log(`Test ${i + 30}: Actual: ${actual}, Predicted: ${predicted} ${correct}`);
-        }
-
-        // Create the public directory if it doesn't exist
-        const modelDir = path.join(__dirname, 'public', 'model');
-        if (!fs.existsSync(modelDir)) {
-            fs.mkdirSync(modelDir, { recursive: true });
-        }
-
-        // Save the model
-        console.log("\nSaving model...");
-
-        // Save model topology as proper JSON object
-        const modelJSON = {
-            modelTopology: JSON.parse(model.toJSON()),
-            format: 'layers-model',
-            generatedBy: 'TensorFlow.js v' + tf.version.tfjs,
-            convertedBy: null,
-            weightsManifest: [{
-                paths: ['weights.bin'],
-                weights: model.getWeights().map(w => ({
-                    name: w.name,
-                    shape: w.shape,
-                    dtype: w.dtype
-                }))
-            }]
-        };
-
-        fs.writeFileSync(path.join(modelDir, 'model.json'), JSON.stringify(modelJSON, null, 2));
-
-        // Concatenate all weight values into a single buffer
-        const weightData = await Promise.all(model.getWeights().map(w => w.data()));
-        const totalBytes = weightData.reduce((a, b) => a + b.byteLength, 0);
-        const weightsBuf = new Uint8Array(totalBytes);
-
-        let offset = 0;
-        weightData.forEach(data => {
-            weightsBuf.set(new Uint8Array(data.buffer), offset);
-            offset += data.byteLength;
-        });
+    // Split on source files before augmentation so validation only sees unseen drawings
+    const split = stratifiedSplit(labeledFiles, config.training.validationSplit, createRandom(config.seed));
+    const checkpointDir = path.join(runDir, 'checkpoints');
+    const resume = resumeDir ? await loadCheckpoint(path.join(checkpointDir, 'last')) : null;
+    const { model, history, bestEpoch } = await fitModel(config, classNames, split, log, checkpointDir, resume);
+    fs.writeFileSync(path.join(runDir, 'history.json'), JSON.stringify(history, null, 2));
+
+    const test = await evaluateOnTest(model, testFiles, classNames, config.training.batchSize, runDir, log);
+    const finalEpoch = history[(restoredEpoch(config, bestEpoch) ? bestEpoch : history.length) - 1] || {};
+
+    // Save the model with everything needed to reproduce and compare it
+    log("\nSaving model...");
+    const preprocessing = await getPreprocessing();
+    const modelDir = path.join(runDir, 'model');
+    await saveModel(model, modelDir, {
+        classNames,
+        inputShape: preprocessing.inputShape,
+        preprocessing,
+        trainingConfig: config,
+        datasetHash: {
+            train: hashDataset(labeledFiles, config.data.trainDir),
+            test: hashDataset(testFiles, config.data.testDir)
+        },
+        metrics: {
+            epoch: finalEpoch.epoch,
+            validation: { loss: finalEpoch.val_loss, accuracy: finalEpoch.val_acc },
+            test
+        },
+        createdAt: new Date().toISOString()
+    });
+    log(`Model saved to ${modelDir}`);
+
+    if (config.output.registryDir) {
+        const entry = registerModel(modelDir, { registryDir: config.output.registryDir, note: config.output.name });
+        log(`Registered as ${entry.id} (serve it with: node registry.js promote ${entry.id})`);
+    }
 
-        // Save concatenated weights
-        fs.writeFileSync(path.join(modelDir, 'weights.bin'), Buffer.from(weightsBuf));
+    // Clean up tensors
+    model.dispose();
 
-        console.log(`Model saved to ${modelDir}`);
+    return runDir;
+};
 
-        // Clean up tensors
-        tf.dispose([trainImages, trainLabels, testImages, testLabels,
-            augmentedData.images, augmentedData.labels]);
+/**
+ * Trains a model from code. The config only needs the values that differ from
+ * DEFAULT_CONFIG; everything else is written to the run directory as for the
+ * command line.
+ * @param {Object} [config] - Partial config, same shape as DEFAULT_CONFIG
+ * @param {Object} [options] - { resumeDir: existing run directory to resume }
+ * @returns {Promise<{runDir: string, modelPath: string|null, config: Object}>} Run directory, saved
+ *   model directory (null for cross-validation runs) and the resolved config
+ */
+const trainModel = async (config = {}, { resumeDir = null } = {}) => {
+    const base = resumeDir ? loadConfigFile(path.join(resumeDir, 'config.json')) : undefined;
+    const resolved = createConfig(config, base);
+    const runDir = await train(resolved, resumeDir);
+    return {
+        runDir,
+        modelPath: resolved.training.folds ? null : path.join(runDir, 'model'),
+        config: resolved
+    };
+};
 
+if (require.main === module) {
+    let resolved;
+    try {
+        resolved = resolveConfig(process.argv.slice(2));
     } catch (error) {
-        console.error("Error during training:", error);
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (resolved.help) {
+        console.log(usage());
+    } else {
+        train(resolved.config, resolved.resume).catch(error => {
+            console.error("Error during training:", error);
+            process.exit(1);
+        });
     }
 }
 
-train();
+module.exports = { train, trainModel, fitModel };
@@ -0,0 +1,416 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs');
+const path = require('path');
+
+const { discoverClasses, listLabeledFiles, hashDataset } = require('./getData');
+const { scalePolicy } = require('./augment');
+const { createRandom } = require('./random');
+const { getPreprocessing } = require('./preprocess');
+const { stratifiedSplit } = require('./splits');
+const { mergeConfig, loadConfigFile, resolveConfig } = require('./config');
+const { createRunDir, createLogger } = require('./runs');
+const { isImprovement, loadCheckpoint } = require('./checkpoints');
+const { fitModel } = require('./trainDrawings');
+const saveModel = require('./saveModel');
+
+// Pseudo-parameter that scales every augmentation magnitude (see scalePolicy)
+const AUGMENTATION_STRENGTH = 'augmentationStrength';
+
+/**
+ * Default search space. Keys are dotted config paths (or augmentationStrength);
+ * values are either a list of choices or a range { min, max, log?, integer?, steps? }.
+ * Random search samples ranges continuously, grid search uses `steps` evenly spaced values.
+ */
+const DEFAULT_SPACE = {
+    'model.filters': [[16, 32], [32, 64], [32, 64, 128]],
+    'model.denseUnits': [64, 128, 256],
+    'model.dropout': [0.25, 0.4, 0.5],
+    'optimizer.learningRate': { min: 0.0001, max: 0.005, log: true, steps: 3 },
+    'training.batchSize': [16, 32, 64],
+    [AUGMENTATION_STRENGTH]: [0.5, 1, 1.5]
+};
+
+const STRATEGIES = ['random', 'grid', 'halving'];
+
+// Default number of candidates drawn by random search and successive halving
+const DEFAULT_TRIALS = { random: 10, halving: 9 };
+
+// Maps t in [0, 1] onto a range, on a log scale if requested
+const rangeValue = ({ min, max, log = false, integer = false }, t) => {
+    const value = log
+        ? Math.exp(Math.log(min) + t * (Math.log(max) - Math.log(min)))
+        : min + t * (max - min);
+    return integer ? Math.round(value) : value;
+};
+
+/**
+ * Checks a search space and throws on malformed parameters
+ * @param {Object} space - Search space (see DEFAULT_SPACE)
+ */
+const validateSpace = (space) => {
+    if (!space || Object.keys(space).length === 0) {
+        throw new Error('The search space is empty');
+    }
+    Object.entries(space).forEach(([name, spec]) => {
+        if (Array.isArray(spec)) {
+            if (spec.length === 0) {
+                throw new Error(`No values given for ${name}`);
+            }
+        } else if (!spec || typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+            throw new Error(`${name} must be a list of values or a range { min, max }`);
+        } else if (spec.log && spec.min <= 0) {
+            throw new Error(`${name}: a log-scaled range needs min > 0`);
+        }
+    });
+};
+
+// Values a parameter takes in grid search
+const gridValues = (name, spec) => {
+    if (Array.isArray(spec)) {
+        return spec;
+    }
+    if (!spec.steps) {
+        throw new Error(`Grid search needs a list of values or "steps" for ${name}`);
+    }
+    return Array.from({ length: spec.steps }, (_, i) => rangeValue(spec, spec.steps === 1 ? 0.5 : i / (spec.steps - 1)));
+};
+
+/**
+ * Every combination of the parameter values
+ * @param {Object} space - Search space
+ * @returns {Object[]} Parameter sets
+ */
+const gridCandidates = (space) => Object.entries(space).reduce((combinations, [name, spec]) =>
+    combinations.flatMap(params => gridValues(name, spec).map(value => ({ ...params, [name]: value }))), [{}]);
+
+/**
+ * Randomly sampled parameter sets
+ * @param {Object} space - Search space
+ * @param {number} count - Number of parameter sets
+ * @param {Function} random - Random number generator
+ * @returns {Object[]} Parameter sets
+ */
+const randomCandidates = (space, count, random) => Array.from({ length: count }, () =>
+    Object.fromEntries(Object.entries(space).map(([name, spec]) => [
+        name,
+        Array.isArray(spec) ? spec[Math.floor(random() * spec.length)] : rangeValue(spec, random())
+    ])));
+
+/**
+ * Applies a parameter set to the base config
+ * @param {Object} baseConfig - Resolved training config
+ * @param {Object} params - { "<dotted.config.path>": value, augmentationStrength? }
+ * @returns {Object} Trial config
+ */
+const applyParameters = (baseConfig, params) => Object.entries(params).reduce((config, [name, value]) => {
+    if (name === AUGMENTATION_STRENGTH) {
+        return { ...config, augmentation: scalePolicy(baseConfig.augmentation, value) };
+    }
+    const override = name.split('.').reduceRight((inner, key) => ({ [key]: inner }), value);
+    return mergeConfig(config, override);
+}, baseConfig);
+
+/**
+ * Epoch budgets for successive halving: every rung keeps the best 1/eta of the
+ * candidates and trains them eta times longer, ending at the full epoch count
+ * @param {number} numCandidates - Candidates in the first rung
+ * @param {number} eta - Reduction factor
+ * @param {number} epochs - Epochs of the last rung
+ * @returns {Array<{keep: number, epochs: number}>} Candidates and epochs per rung
+ */
+const halvingSchedule = (numCandidates, eta, epochs) => {
+    // Small epsilon so e.g. 9 candidates with eta 3 give exactly 3 rungs
+    const rungs = Math.floor(Math.log(numCandidates) / Math.log(eta) + 1e-9) + 1;
+    return Array.from({ length: rungs }, (_, i) => ({
+        keep: Math.max(1, Math.floor(numCandidates / eta ** i)),
+        epochs: Math.max(1, Math.round(epochs / eta ** (rungs - 1 - i)))
+    }));
+};
+
+// The epoch with the best monitored value in a training history
+const bestEpochLogs = (history, monitor) => history.reduce((best, logs) =>
+    logs[monitor] !== undefined && isImprovement(monitor, logs[monitor], best ? best[monitor] : null) ? logs : best, null);
+
+// Best trials first; untrained trials last
+const rankTrials = (trials, monitor) => [...trials].sort((a, b) => {
+    if (a.score === null || b.score === null) {
+        return (a.score === null) - (b.score === null);
+    }
+    if (a.score === b.score) {
+        return 0;
+    }
+    return isImprovement(monitor, a.score, b.score) ? -1 : 1;
+});
+
+/**
+ * Trains a trial up to a number of epochs, continuing from its last checkpoint
+ * if it was trained before (successive halving)
+ * @param {Object} trial - Trial record, updated in place
+ * @param {number} epochs - Total epochs to reach
+ * @param {Object} context - { classNames, split, log, scheduleEpochs }, where scheduleEpochs is the
+ *   length of the learning rate schedule: the last rung's epochs, so every rung continues the
+ *   same curve the final training uses
+ * @returns {Promise<void>}
+ */
+const runTrial = async (trial, epochs, { classNames, split, log, scheduleEpochs = epochs }) => {
+    const { schedule } = trial.config.optimizer;
+    const config = mergeConfig(trial.config, {
+        training: { epochs },
+        // A schedule without a length of its own spans the last rung, not this one
+        ...(schedule && schedule.epochs === undefined ? { optimizer: { schedule: { epochs: scheduleEpochs } } } : {})
+    });
+    const checkpointDir = path.join(trial.dir, 'checkpoints');
+    const lastDir = path.join(checkpointDir, 'last');
+    const resume = fs.existsSync(path.join(lastDir, 'model.json')) ? await loadCheckpoint(lastDir) : null;
+
+    const started = Date.now();
+    const { model, history } = await fitModel(config, classNames, split, log, checkpointDir, resume);
+    trial.seconds += (Date.now() - started) / 1000;
+
+    // fitModel compiles with its own optimizer, which the model does not dispose
+    model.optimizer.dispose();
+    model.dispose();
+    if (resume) {
+        tf.dispose(resume.optimizerWeights.map(weight => weight.tensor));
+    }
+
+    const best = bestEpochLogs(history, config.training.monitor);
+    if (!best) {
+        throw new Error(`Trial ${trial.id} did not report "${config.training.monitor}"; check training.monitor`);
+    }
+    trial.epochs = history.length > 0 ? history[history.length - 1].epoch : 0;
+    trial.bestEpoch = best.epoch;
+    trial.score = best[config.training.monitor];
+    trial.validation = { loss: best.val_loss, accuracy: best.val_acc };
+};
+
+const formatParameter = (value) => {
+    if (Array.isArray(value)) {
+        return value.join('/');
+    }
+    return typeof value === 'number' && !Number.isInteger(value) ? value.toPrecision(3) : String(value);
+};
+
+/**
+ * Formats trials as an aligned text table, longest-trained and best first
+ * @param {Object[]} trials - Trial records
+ * @param {string[]} parameterNames - Searched parameters
+ * @param {string} monitor - Metric the trials are ranked by
+ * @returns {string} Table
+ */
+const resultsTable = (trials, parameterNames, monitor) => {
+    const ranked = rankTrials(trials, monitor).sort((a, b) => b.epochs - a.epochs);
+    const header = ['trial', ...parameterNames.map(name => name.split('.').pop()), 'epochs', monitor, 'val_acc', 'seconds'];
+    const rows = ranked.map(trial => [
+        String(trial.id),
+        ...parameterNames.map(name => formatParameter(trial.params[name])),
+        String(trial.epochs),
+        trial.score === null ? '-' : trial.score.toFixed(4),
+        trial.validation ? trial.validation.accuracy.toFixed(3) : '-',
+        trial.seconds.toFixed(0)
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    return [header, ...rows].map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ')).join('\n');
+};
+
+// Quotes a CSV field when needed
+const csvField = (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes every trial to results.json and results.csv
+ * @param {string} tuneDir - Tuning run directory
+ * @param {Object[]} trials - Trial records
+ * @param {string[]} parameterNames - Searched parameters
+ */
+const writeResults = (tuneDir, trials, parameterNames) => {
+    const records = trials.map(({ id, params, epochs, bestEpoch, score, validation, seconds }) =>
+        ({ id, params, epochs, bestEpoch, score, validation, seconds }));
+    fs.writeFileSync(path.join(tuneDir, 'results.json'), JSON.stringify(records, null, 2));
+
+    const header = ['trial', ...parameterNames, 'epochs', 'bestEpoch', 'score', 'val_loss', 'val_acc', 'seconds'];
+    const rows = records.map(r => [
+        r.id,
+        ...parameterNames.map(name => r.params[name]),
+        r.epochs,
+        r.bestEpoch ?? null,
+        r.score,
+        r.validation ? r.validation.loss : null,
+        r.validation ? r.validation.accuracy : null,
+        Number(r.seconds.toFixed(1))
+    ]);
+    fs.writeFileSync(path.join(tuneDir, 'results.csv'),
+        [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n');
+};
+
+/**
+ * Searches hyperparameters by training candidates on a fixed train/validation
+ * split and ranking them by training.monitor. Writes tune.log, results.json,
+ * results.csv, best-config.json and the best candidate's model/ to a new run
+ * directory.
+ * @param {Object} baseConfig - Resolved training config the candidates start from
+ * @param {Object} [options] - Search options
+ * @param {Object} [options.space] - Search space (see DEFAULT_SPACE)
+ * @param {string} [options.strategy] - random | grid | halving
+ * @param {number} [options.trials] - Candidates for random search and halving
+ * @param {number} [options.eta] - Successive halving reduction factor
+ * @returns {Promise<{tuneDir: string, best: Object, trials: Object[]}>} Run directory,
+ *   best trial and all trials
+ */
+const tune = async (baseConfig, { space = DEFAULT_SPACE, strategy = 'halving', trials, eta = 3 } = {}) => {
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown search strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+    }
+    if (strategy === 'halving' && !(eta > 1)) {
+        throw new Error('--eta must be greater than 1');
+    }
+    validateSpace(space);
+    if (baseConfig.training.folds) {
+        throw new Error('Tuning with cross-validation is not supported; unset training.folds');
+    }
+    if (!(baseConfig.training.validationSplit > 0)) {
+        throw new Error('Tuning ranks candidates on validation data; set training.validationSplit above 0');
+    }
+
+    const tuneDir = createRunDir(baseConfig.output.runsDir, baseConfig.output.name || 'tune');
+    const log = createLogger(path.join(tuneDir, 'tune.log'));
+    const { monitor } = baseConfig.training;
+    fs.writeFileSync(path.join(tuneDir, 'base-config.json'), JSON.stringify(baseConfig, null, 2));
+    fs.writeFileSync(path.join(tuneDir, 'space.json'), JSON.stringify(space, null, 2));
+    log(`Tuning run: ${tuneDir}`);
+    log(`Backend: ${tf.getBackend()}`);
+    log(`Strategy: ${strategy}, ranking by ${monitor}, seed ${baseConfig.seed}`);
+
+    const classNames = discoverClasses(baseConfig.data.trainDir);
+    const labeledFiles = listLabeledFiles(baseConfig.data.trainDir);
+    // Every candidate sees the same split, so their validation scores are comparable
+    const split = stratifiedSplit(labeledFiles, baseConfig.training.validationSplit, createRandom(baseConfig.seed));
+
+    const parameterSets = strategy === 'grid'
+        ? gridCandidates(space)
+        : randomCandidates(space, trials || DEFAULT_TRIALS[strategy], createRandom(baseConfig.seed));
+    const parameterNames = Object.keys(space);
+    const allTrials = parameterSets.map((params, i) => {
+        const trial = {
+            id: i + 1,
+            params,
+            config: applyParameters(baseConfig, params),
+            dir: path.join(tuneDir, `trial-${i + 1}`),
+            epochs: 0,
+            bestEpoch: null,
+            score: null,
+            validation: null,
+            seconds: 0
+        };
+        fs.mkdirSync(trial.dir, { recursive: true });
+        fs.writeFileSync(path.join(trial.dir, 'config.json'), JSON.stringify(trial.config, null, 2));
+        return trial;
+    });
+
+    const schedule = strategy === 'halving'
+        ? halvingSchedule(allTrials.length, eta, baseConfig.training.epochs)
+        : [{ keep: allTrials.length, epochs: baseConfig.training.epochs }];
+    log(`${allTrials.length} candidates` + (strategy === 'halving'
+        ? `, rungs: ${schedule.map(rung => `${rung.keep} x ${rung.epochs} epochs`).join(', ')}`
+        : `, ${baseConfig.training.epochs} epochs each`));
+
+    let active = allTrials;
+    for (let r = 0; r < schedule.length; r++) {
+        const { keep, epochs } = schedule[r];
+        active = active.slice(0, keep);
+        if (schedule.length > 1) {
+            log(`\n=== Rung ${r + 1}/${schedule.length}: ${active.length} candidates, ${epochs} epochs ===`);
+        }
+
+        for (const trial of active) {
+            log(`\n--- Trial ${trial.id}: ${parameterNames.map(name => `${name}=${formatParameter(trial.params[name])}`).join(', ')} ---`);
+            await runTrial(trial, epochs, { classNames, split, log, scheduleEpochs: schedule[schedule.length - 1].epochs });
+            log(`Trial ${trial.id}: best ${monitor} = ${trial.score.toFixed(4)} at epoch ${trial.bestEpoch}`);
+            writeResults(tuneDir, allTrials, parameterNames);
+        }
+
+        active = rankTrials(active, monitor);
+        log(`\n${resultsTable(allTrials, parameterNames, monitor)}`);
+    }
+
+    const best = active[0];
+    const bestConfig = mergeConfig(best.config, { training: { epochs: best.epochs } });
+    fs.writeFileSync(path.join(tuneDir, 'best-config.json'), JSON.stringify(bestConfig, null, 2));
+    log(`\nBest trial: ${best.id} (${monitor} = ${best.score.toFixed(4)})`);
+    log(`Best config written to ${path.join(tuneDir, 'best-config.json')}`);
+
+    // Same weights fitModel ends with: the best epoch's, unless restoreBestWeights is off
+    const checkpointDir = path.join(best.dir, 'checkpoints');
+    const weightsDir = baseConfig.training.restoreBestWeights && fs.existsSync(path.join(checkpointDir, 'best', 'model.json'))
+        ? path.join(checkpointDir, 'best')
+        : path.join(checkpointDir, 'last');
+    const model = await tf.loadLayersModel(`file://${path.resolve(weightsDir, 'model.json')}`);
+    const preprocessing = await getPreprocessing();
+    const modelDir = path.join(tuneDir, 'model');
+    await saveModel(model, modelDir, {
+        classNames,
+        inputShape: preprocessing.inputShape,
+        preprocessing,
+        trainingConfig: bestConfig,
+        datasetHash: { train: hashDataset(labeledFiles, baseConfig.data.trainDir) },
+        metrics: { epoch: best.bestEpoch, validation: best.validation },
+        tuning: { strategy, trial: best.id, params: best.params },
+        createdAt: new Date().toISOString()
+    });
+    model.dispose();
+    log(`Best model saved to ${modelDir}`);
+
+    return { tuneDir, best, trials: allTrials };
+};
+
+const TUNE_OPTIONS = {
+    space: { type: 'string' },
+    strategy: { type: 'string', default: 'halving' },
+    trials: { type: 'string' },
+    eta: { type: 'string', default: '3' }
+};
+
+const usage = () => `Usage: node tune.js [--space <file>] [--strategy random|grid|halving] [training options]
+
+Options:
+  --space <file>       JSON or YAML search space (default: DEFAULT_SPACE in tune.js)
+  --strategy <name>    random | grid | halving (successive halving, default)
+  --trials <n>         Candidates to sample for random search (default ${DEFAULT_TRIALS.random}) and halving (default ${DEFAULT_TRIALS.halving})
+  --eta <n>            Halving keeps the best 1/eta candidates per rung (default 3)
+  -h, --help           Show this help
+
+All trainDrawings.js options (--config, --epochs, --train-dir, --seed, ...) set the base config
+the candidates start from; --epochs is the budget of a full-length trial.`;
+
+if (require.main === module) {
+    let resolved;
+    try {
+        resolved = resolveConfig(process.argv.slice(2), TUNE_OPTIONS);
+        if (resolved.resume) {
+            throw new Error('--resume is not supported by tune');
+        }
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (resolved.help) {
+        console.log(usage());
+    } else {
+        const { values } = resolved;
+        tune(resolved.config, {
+            space: values.space ? loadConfigFile(values.space) : DEFAULT_SPACE,
+            strategy: values.strategy,
+            trials: values.trials ? Number(values.trials) : undefined,
+            eta: Number(values.eta)
+        }).catch(error => {
+            console.error("Error during tuning:", error);
+            process.exit(1);
+        });
+    }
+}
+
+module.exports = { DEFAULT_SPACE, tune };
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { listLabeledFiles } = require('./getData');
+const { loadConfigFile } = require('./config');
+const { decodeRgba } = require('./preprocess');
+
+// Where the browser app (public/index.js) and predict.js --cv look for tuned options
+const DEFAULT_OUTPUT = path.join(__dirname, 'public', 'shapeDetection.json');
+
+/**
+ * Default search space: detector options (CONFIG in public/shapeDetection.mjs)
+ * and the values to try for each. Every combination is evaluated.
+ */
+const DEFAULT_SPACE = {
+    inkThreshold: [32, 64, 128],
+    polygonTolerance: [0.02, 0.03, 0.04],
+    polygonStraightness: [0.4, 0.5, 0.6],
+    convexSolidity: [0.75, 0.8, 0.85],
+    minConfidence: [0.4, 0.5, 0.6]
+};
+
+const loadDetector = () => import('./public/shapeDetection.mjs');
+
+/**
+ * Every combination of the option values
+ * @param {Object} space - Search space (see DEFAULT_SPACE)
+ * @returns {Object[]} Option sets
+ */
+const gridCandidates = (space) => Object.entries(space).reduce((combinations, [name, values]) =>
+    combinations.flatMap(options => values.map(value => ({ ...options, [name]: value }))), [{}]);
+
+/**
+ * Checks a search space and throws on malformed entries
+ * @param {Object} space - Search space (see DEFAULT_SPACE)
+ * @param {Function} validateOptions - validateOptions from public/shapeDetection.mjs
+ */
+const validateSpace = (space, validateOptions) => {
+    if (!space || typeof space !== 'object' || Object.keys(space).length === 0) {
+        throw new Error('The search space is empty');
+    }
+    Object.entries(space).forEach(([name, values]) => {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error(`${name} must be a list of values to try`);
+        }
+        values.forEach(value => validateOptions({ [name]: value }));
+    });
+};
+
+/**
+ * Runs the detector with one option set on labeled images
+ * @param {Function} detectShape - detectShape from public/shapeDetection.mjs
+ * @param {Array<{className: string, image: Object}>} images - Decoded labeled images
+ * @param {Object} options - Detector options
+ * @returns {{accuracy: number, meanConfidence: number}} Fraction of images detected as their
+ *   class, and the mean confidence of those detections
+ */
+const evaluateOptions = (detectShape, images, options) => {
+    let correct = 0;
+    let confidence = 0;
+    images.forEach(({ className, image }) => {
+        const result = detectShape(image, { ...options, overlay: false });
+        if (result.shape === className) {
+            correct++;
+            confidence += result.confidence;
+        }
+    });
+    return { accuracy: correct / images.length, meanConfidence: correct > 0 ? confidence / correct : 0 };
+};
+
+/**
+ * Grid-searches detector options on a labeled image folder. Candidates are
+ * ranked by accuracy, then by the mean confidence of correct detections, then
+ * by how few options they change, so the defaults win ties.
+ * @param {string} dataDir - Labeled images (see listLabeledFiles); classes the detector does
+ *   not know are skipped
+ * @param {Object} [options] - Options
+ * @param {Object} [options.space] - Search space (see DEFAULT_SPACE)
+ * @param {Function} [options.onProgress] - Called after every candidate with { done, total }
+ * @returns {Promise<Object>} { dataDir, images, skippedClasses, defaults, best, candidates } where
+ *   defaults, best and each candidate are { options, changed, accuracy, meanConfidence } and
+ *   candidates are ranked, the defaults (options {}) among them
+ */
+const tuneDetector = async (dataDir, { space = DEFAULT_SPACE, onProgress = () => {} } = {}) => {
+    const { CONFIG, SHAPES, validateOptions, detectShape } = await loadDetector();
+    validateSpace(space, validateOptions);
+
+    const labeled = listLabeledFiles(dataDir);
+    const known = labeled.filter(({ className }) => SHAPES.includes(className));
+    const skippedClasses = [...new Set(labeled.map(({ className }) => className))]
+        .filter(className => !SHAPES.includes(className));
+    if (known.length === 0) {
+        throw new Error(`No images of shapes the detector recognizes in ${dataDir} (expected ${SHAPES.join(', ')})`);
+    }
+    const images = await Promise.all(known.map(async ({ filePath, className }) => ({
+        className,
+        image: await decodeRgba(filePath)
+    })));
+
+    const sets = [{}, ...gridCandidates(space)];
+    const candidates = sets.map((options, i) => {
+        const candidate = {
+            options,
+            changed: Object.keys(options).filter(name => options[name] !== CONFIG[name]).length,
+            ...evaluateOptions(detectShape, images, options)
+        };
+        onProgress({ done: i + 1, total: sets.length });
+        return candidate;
+    });
+    const defaults = candidates[0];
+    const ranked = [...candidates].sort((a, b) =>
+        b.accuracy - a.accuracy || b.meanConfidence - a.meanConfidence || a.changed - b.changed);
+
+    return { dataDir, images: images.length, skippedClasses, defaults, best: ranked[0], candidates: ranked };
+};
+
+/**
+ * The file tuneDetector's result is saved as: the best options, with only the
+ * values that differ from the defaults, and how they were found
+ * @param {Object} result - Result of tuneDetector
+ * @returns {Promise<Object>} { options, tuning }
+ */
+const tunedOptionsFile = async ({ dataDir, images, defaults, best, candidates }) => {
+    const { CONFIG } = await loadDetector();
+    const options = Object.fromEntries(Object.entries(best.options).filter(([name, value]) => value !== CONFIG[name]));
+    return {
+        options,
+        tuning: {
+            data: dataDir,
+            images,
+            candidates: candidates.length,
+            accuracy: best.accuracy,
+            meanConfidence: best.meanConfidence,
+            defaultAccuracy: defaults.accuracy,
+            createdAt: new Date().toISOString()
+        }
+    };
+};
+
+/**
+ * Formats the best candidates as an aligned text table
+ * @param {Object} result - Result of tuneDetector
+ * @param {number} [top] - Number of candidates to list
+ * @returns {string} Table
+ */
+const formatCandidates = ({ candidates }, top = 10) => {
+    const names = [...new Set(candidates.flatMap(candidate => Object.keys(candidate.options)))];
+    const header = ['rank', ...names, 'accuracy', 'confidence'];
+    const rows = candidates.slice(0, top).map((candidate, i) => [
+        String(i + 1),
+        ...names.map(name => name in candidate.options ? String(candidate.options[name]) : 'default'),
+        candidate.accuracy.toFixed(3),
+        candidate.meanConfidence.toFixed(3)
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    return [header, ...rows].map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+};
+
+const usage = () => `Usage: node tuneDetector.js [options]
+
+Grid-searches the thresholds of the computer vision detector (public/shapeDetection.mjs)
+on labeled images and writes the best option set to a JSON file that the browser app and
+predict.js --cv load.
+
+Options:
+  --data <dir>         Labeled images (default data/train)
+  --space <file>       JSON or YAML search space: { "<option>": [values...] }
+                       (default: DEFAULT_SPACE in tuneDetector.js)
+  --out <file>         Options file to write (default public/shapeDetection.json)
+  --top <n>            Candidates to list (default 10)
+  --format <name>      table | json (default table)
+  -h, --help           Show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                data: { type: 'string', default: path.join('data', 'train') },
+                space: { type: 'string' },
+                out: { type: 'string', default: DEFAULT_OUTPUT },
+                top: { type: 'string', default: '10' },
+                format: { type: 'string', default: 'table' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        console.error(error.message);
+        console.error(usage());
+        process.exit(2);
+    }
+
+    if (values.help) {
+        console.log(usage());
+        return;
+    }
+    const problems = [];
+    if (!fs.existsSync(values.data) || !fs.statSync(values.data).isDirectory()) {
+        problems.push(`Not a directory: ${values.data}`);
+    }
+    let space = DEFAULT_SPACE;
+    if (values.space) {
+        try {
+            space = loadConfigFile(values.space);
+        } catch (error) {
+            problems.push(`Invalid --space: ${error.message}`);
+        }
+    }
+    if (!Number.isInteger(Number(values.top)) || Number(values.top) < 1) {
+        problems.push('Invalid --top: expected a positive integer');
+    }
+    if (!['table', 'json'].includes(values.format)) {
+        problems.push(`Unknown format "${values.format}" (expected table or json)`);
+    }
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(usage());
+        process.exit(2);
+    }
+
+    const result = await tuneDetector(values.data, {
+        space,
+        onProgress: ({ done, total }) => {
+            if (process.stderr.isTTY) {
+                process.stderr.write(`\r${done}/${total} candidates`);
+            }
+        }
+    });
+    if (process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+    const file = await tunedOptionsFile(result);
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, JSON.stringify(file, null, 2) + '\n');
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify({ ...result, candidates: result.candidates.slice(0, Number(values.top)) }, null, 2));
+    } else {
+        if (result.skippedClasses.length > 0) {
+            console.log(`Skipped classes the detector does not know: ${result.skippedClasses.join(', ')}`);
+        }
+        console.log(formatCandidates(result, Number(values.top)));
+        console.log(`\nDefaults: accuracy ${result.defaults.accuracy.toFixed(3)}; best: ${result.best.accuracy.toFixed(3)} on ${result.images} images`);
+        console.log(`Options written to ${values.out}`);
+    }
+};
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Error during tuning:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { DEFAULT_SPACE, tuneDetector, tunedOptionsFile, formatCandidates };
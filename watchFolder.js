@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+const { predictFiles, formatResults } = require('./predict');
+const { expandInputs } = require('./inputFiles');
+
+const INDEX_VERSION = 1;
+
+/**
+ * Reads the processed-file index: { version, files: { <path relative to the
+ * watched directory>: { size, mtimeMs, prediction | error, processedAt } } }
+ * @param {string} indexPath - Index file
+ * @returns {Object} Index (empty if the file does not exist yet)
+ */
+const readIndex = (indexPath) => {
+    if (!fs.existsSync(indexPath)) {
+        return { version: INDEX_VERSION, files: {} };
+    }
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (index.version !== INDEX_VERSION || typeof index.files !== 'object') {
+        throw new Error(`Unsupported index file: ${indexPath}`);
+    }
+    return index;
+};
+
+// Replaces the index in one step so an interrupted write never corrupts it
+const writeIndex = (indexPath, index) => {
+    fs.mkdirSync(path.dirname(path.resolve(indexPath)), { recursive: true });
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+    fs.renameSync(tempPath, indexPath);
+};
+
+const isInside = (file, dir) => {
+    const relative = path.relative(dir, file);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Moves a file into a directory without overwriting: name.png, name-1.png, ...
+ * Falls back to copy and delete across file systems.
+ * @returns {string} New path
+ */
+const moveFile = (file, destDir) => {
+    fs.mkdirSync(destDir, { recursive: true });
+    const { name, ext } = path.parse(file);
+    let target = path.join(destDir, `${name}${ext}`);
+    for (let n = 1; fs.existsSync(target); n++) {
+        target = path.join(destDir, `${name}-${n}${ext}`);
+    }
+    try {
+        fs.renameSync(file, target);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.copyFileSync(file, target);
+        fs.unlinkSync(file);
+    }
+    return target;
+};
+
+/**
+ * Watches a directory and classifies images as they arrive or change. The
+ * directory is polled rather than watched with fs.watch, which misses events
+ * on network shares. A file is classified once its size and modification time
+ * have stayed the same for one poll and it has not been modified for `settle`
+ * ms, so half-written files are left alone. Each result is appended to a JSONL
+ * log and recorded in an index, so a restarted watcher skips files it already
+ * classified unless they were modified since.
+ * @param {string} dir - Directory to watch
+ * @param {Object} options - Options, plus predictFiles options (modelPath, topK, threshold, ...)
+ * @param {string} options.logPath - JSONL file results are appended to
+ * @param {string} options.indexPath - Processed-file index
+ * @param {string} [options.moveTo] - Move classified images to <moveTo>/<prediction>/
+ *   (images that fail to decode stay where they are; so do images that cannot be moved, which
+ *   are logged and indexed with a moveError and not retried until they change)
+ * @param {boolean} [options.recursive] - Also watch subdirectories
+ * @param {number} [options.interval] - Poll interval in ms
+ * @param {number} [options.settle] - Time in ms a file must go unmodified before it is classified
+ * @param {Function} [options.onResult] - Called with each logged result
+ * @param {Function} [options.onError] - Called when a poll fails; watching continues
+ * @returns {{stop: Function}} stop() finishes the batch in progress, saves the index and resolves
+ */
+const watchDirectory = (dir, {
+    logPath,
+    indexPath,
+    moveTo = null,
+    recursive = false,
+    interval = 1000,
+    settle = 2000,
+    onResult = () => {},
+    onError = () => {},
+    ...predictOptions
+}) => {
+    const index = readIndex(indexPath);
+    // Size and mtime seen at the previous poll, by index key
+    const pending = new Map();
+    let timer = null;
+    let stopping = false;
+    let polling = Promise.resolve();
+
+    const listImages = () => {
+        try {
+            return expandInputs([dir], { recursive })
+                .filter(file => !moveTo || !isInside(path.resolve(file), path.resolve(moveTo)));
+        } catch (error) {
+            if (error.code === 'ENOINPUT' && fs.existsSync(dir)) {
+                return [];
+            }
+            throw error;
+        }
+    };
+
+    const poll = async () => {
+        const now = Date.now();
+        const present = new Set();
+        const ready = [];
+
+        listImages().forEach(file => {
+            let stat;
+            try {
+                stat = fs.statSync(file);
+            } catch {
+                return;  // Removed since it was listed
+            }
+            const key = path.relative(dir, file);
+            const signature = `${stat.size}:${stat.mtimeMs}`;
+            present.add(key);
+
+            const entry = index.files[key];
+            if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+                return;
+            }
+            const unchanged = pending.get(key) === signature;
+            pending.set(key, signature);
+            if (unchanged && stat.size > 0 && now - stat.mtimeMs >= settle) {
+                ready.push({ file, key, stat });
+            }
+        });
+
+        // Forget files that are gone, so one dropped again under the same name is classified
+        let changed = false;
+        Object.keys(index.files).forEach(key => {
+            if (!present.has(key)) {
+                delete index.files[key];
+                changed = true;
+            }
+        });
+        [...pending.keys()].filter(key => !present.has(key)).forEach(key => pending.delete(key));
+
+        if (ready.length > 0) {
+            const results = await predictFiles(ready.map(item => item.file), predictOptions);
+            fs.mkdirSync(path.dirname(path.resolve(logPath)), { recursive: true });
+            try {
+                // One file at a time, so each is logged and indexed however the rest of the batch goes
+                results.forEach((result, i) => {
+                    const { key, stat } = ready[i];
+                    const logged = { ...result, processedAt: new Date().toISOString() };
+                    if (moveTo && !result.error) {
+                        try {
+                            logged.movedTo = moveFile(result.file, path.join(moveTo, result.prediction));
+                        } catch (error) {
+                            logged.moveError = error.message;
+                        }
+                    }
+                    pending.delete(key);
+                    if (logged.movedTo) {
+                        delete index.files[key];
+                    } else {
+                        index.files[key] = {
+                            size: stat.size,
+                            mtimeMs: stat.mtimeMs,
+                            ...(result.error ? { error: result.error } : { prediction: result.prediction }),
+                            ...(logged.moveError ? { moveError: logged.moveError } : {}),
+                            processedAt: logged.processedAt
+                        };
+                    }
+                    fs.appendFileSync(logPath, formatResults([logged], 'jsonl', predictOptions));
+                    onResult(logged);
+                });
+            } finally {
+                writeIndex(indexPath, index);
+            }
+        } else if (changed) {
+            writeIndex(indexPath, index);
+        }
+    };
+
+    const schedule = () => {
+        if (stopping) {
+            return;
+        }
+        timer = setTimeout(() => {
+            polling = poll().catch(onError).then(schedule);
+        }, interval);
+    };
+
+    polling = poll().catch(onError).then(schedule);
+
+    return {
+        stop: async () => {
+            stopping = true;
+            clearTimeout(timer);
+            await polling;
+            writeIndex(indexPath, index);
+        }
+    };
+};
+
+module.exports = { watchDirectory, readIndex };